@@ -0,0 +1,22 @@
+/**
+ * Chat Settings
+ * Limits for chatbot sessions and how much of a conversation goes into each prompt
+ */
+
+module.exports = {
+    // Sessions expire after this long without a message
+    sessionTtlHours: parseInt(process.env.CHAT_SESSION_TTL_HOURS, 10) || 24,
+
+    // Turns (user and assistant messages) kept per session
+    maxStoredTurns: 40,
+
+    // Most recent turns included in a prompt, and the characters kept of each
+    promptTurns: 6,
+    maxTurnChars: 600,
+
+    // Events shown earlier in the conversation that are offered to the model again
+    maxShownEvents: 10,
+
+    // Longest accepted user message
+    maxQueryLength: 500
+};
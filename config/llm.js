@@ -0,0 +1,34 @@
+/**
+ * Language Model Configuration
+ * Selects the provider used for chat answers, embeddings and category classification
+ *
+ * LLM_PROVIDER is one of the modules in providers/: 'gemini', 'openai' (any
+ * OpenAI-compatible server, such as Ollama, llama.cpp or vLLM) or 'offline'
+ * (deterministic, no network). Without LLM_PROVIDER, Gemini is used when
+ * GEMINI_API_KEY is set and no provider otherwise.
+ */
+
+module.exports = {
+    provider: process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'none'),
+
+    gemini: {
+        apiKey: process.env.GEMINI_API_KEY,
+        chatModel: process.env.GEMINI_CHAT_MODEL || 'gemini-2.0-flash-exp',
+        classifyModel: process.env.GEMINI_CLASSIFY_MODEL || 'gemini-2.5-flash',
+        embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+    },
+
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        chatModel: process.env.OPENAI_CHAT_MODEL || 'llama3.1',
+        classifyModel: process.env.OPENAI_CLASSIFY_MODEL || process.env.OPENAI_CHAT_MODEL || 'llama3.1',
+        embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'nomic-embed-text',
+        timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 60000
+    },
+
+    offline: {
+        // Length of the hashed-feature embedding vectors
+        dimensions: 256
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Map Settings
+ * Tile layer and starting view for the frontend map
+ *
+ * Tiles default to the public OpenStreetMap servers. Point MAP_TILE_URL at a
+ * local tile server (e.g. http://localhost:8080/tile/{z}/{x}/{y}.png) to run
+ * the map offline.
+ */
+
+module.exports = {
+    tileUrl: process.env.MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: process.env.MAP_TILE_ATTRIBUTION ||
+        '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+    maxZoom: parseInt(process.env.MAP_TILE_MAX_ZOOM, 10) || 19,
+
+    // Central Doha
+    center: [25.2854, 51.5310],
+    zoom: 11
+};
@@ -0,0 +1,19 @@
+/**
+ * Canonical Event Merge Rules
+ * Decides which source wins each field when several sources list the same event
+ *
+ * A rule is either an ordered list of source names (first source with a usable
+ * value wins, unlisted sources rank last) or 'longest' to keep the longest value.
+ */
+
+module.exports = {
+    // Source whose record provides the title, date and link of the canonical event
+    primary: ['Visit Qatar', 'Qatar Museums', 'ILoveQatar', 'Platinumlist'],
+
+    fields: {
+        // Ticketing sites carry real prices; the others mostly say "Check website"
+        price: ['Platinumlist', 'ILoveQatar', 'Visit Qatar', 'Qatar Museums'],
+        image: ['Visit Qatar', 'Qatar Museums', 'Platinumlist', 'ILoveQatar'],
+        description: 'longest'
+    }
+};
@@ -0,0 +1,16 @@
+/**
+ * Search Settings
+ * Field weights for full-text search, shared by the MongoDB text index
+ * and the in-memory search so both rank results the same way
+ */
+
+module.exports = {
+    weights: {
+        title: 10,
+        venue: 5,
+        description: 1
+    },
+
+    // Characters of context around the first match in a snippet
+    snippetLength: 160
+};
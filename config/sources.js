@@ -0,0 +1,38 @@
+/**
+ * Event Source Configuration
+ * Declares every scraper the aggregator knows about
+ *
+ * Each entry maps a source name to a module in scrapers/ that exports an
+ * object with an async scrape() method. Adding a new source means dropping
+ * the module into scrapers/ and adding an entry here.
+ *
+ * Optional: timeoutMs - abandon a run that takes longer (default 5 minutes)
+ */
+
+module.exports = [
+    {
+        name: 'ILoveQatar',
+        module: 'iLoveQatar',
+        schedule: '0 */6 * * *',
+        enabled: true
+    },
+    {
+        name: 'Qatar Museums',
+        module: 'qatarMuseums',
+        schedule: '0 */6 * * *',
+        enabled: true
+    },
+    {
+        name: 'Visit Qatar',
+        module: 'visitQatar',
+        schedule: '0 */6 * * *',
+        enabled: true
+    },
+    {
+        // Generic selectors, kept off until they are verified against the live site
+        name: 'Platinumlist',
+        module: 'platinumlist',
+        schedule: '0 */6 * * *',
+        enabled: process.env.PLATINUMLIST_ENABLED === 'true'
+    }
+];
@@ -0,0 +1,203 @@
+/**
+ * Venue Gazetteer
+ * Offline list of well-known Doha and Qatar venues used to seed the Venue collection
+ *
+ * Each entry has a stable `slug` (used as venueId on events), a canonical `name`,
+ * `aliases` covering common spellings, abbreviations and Arabic names, a
+ * `district` and approximate `lat`/`lng` coordinates.
+ */
+
+module.exports = [
+    {
+        slug: 'katara-cultural-village',
+        name: 'Katara Cultural Village',
+        aliases: ['Katara', 'Katara Village', 'Katara Amphitheatre', 'Katara Beach', 'كتارا', 'الحي الثقافي'],
+        district: 'Katara',
+        lat: 25.3606,
+        lng: 51.5253
+    },
+    {
+        slug: 'museum-of-islamic-art',
+        name: 'Museum of Islamic Art',
+        aliases: ['MIA', 'Islamic Art Museum', 'متحف الفن الإسلامي'],
+        district: 'Corniche',
+        lat: 25.2953,
+        lng: 51.5390
+    },
+    {
+        slug: 'mia-park',
+        name: 'MIA Park',
+        aliases: ['Museum of Islamic Art Park', 'MIA Bazaar', 'حديقة متحف الفن الإسلامي'],
+        district: 'Corniche',
+        lat: 25.2990,
+        lng: 51.5395
+    },
+    {
+        slug: 'national-museum-of-qatar',
+        name: 'National Museum of Qatar',
+        aliases: ['NMoQ', 'Qatar National Museum', 'متحف قطر الوطني'],
+        district: 'Corniche',
+        lat: 25.2880,
+        lng: 51.5485
+    },
+    {
+        slug: 'doha-corniche',
+        name: 'Doha Corniche',
+        aliases: ['Corniche', 'The Corniche', 'الكورنيش'],
+        district: 'Corniche',
+        lat: 25.3050,
+        lng: 51.5250
+    },
+    {
+        slug: 'souq-waqif',
+        name: 'Souq Waqif',
+        aliases: ['Souk Waqif', 'Souq Waqif Art Center', 'سوق واقف'],
+        district: 'Al Souq',
+        lat: 25.2867,
+        lng: 51.5331
+    },
+    {
+        slug: 'msheireb-downtown-doha',
+        name: 'Msheireb Downtown Doha',
+        aliases: ['Msheireb', 'Msheireb Downtown', 'Msheireb Museums', 'Barahat Msheireb', 'مشيرب'],
+        district: 'Msheireb',
+        lat: 25.2860,
+        lng: 51.5260
+    },
+    {
+        slug: 'the-pearl-qatar',
+        name: 'The Pearl-Qatar',
+        aliases: ['The Pearl', 'Pearl Qatar', 'Porto Arabia', 'Qanat Quartier', 'اللؤلؤة'],
+        district: 'The Pearl',
+        lat: 25.3700,
+        lng: 51.5500
+    },
+    {
+        slug: 'lusail-boulevard',
+        name: 'Lusail Boulevard',
+        aliases: ['Lusail Marina Boulevard', 'Al Saad Plaza', 'بوليفارد لوسيل'],
+        district: 'Lusail',
+        lat: 25.3870,
+        lng: 51.5240
+    },
+    {
+        slug: 'lusail-stadium',
+        name: 'Lusail Stadium',
+        aliases: ['Lusail Iconic Stadium', 'استاد لوسيل'],
+        district: 'Lusail',
+        lat: 25.4207,
+        lng: 51.4904
+    },
+    {
+        slug: 'lusail-international-circuit',
+        name: 'Lusail International Circuit',
+        aliases: ['Losail International Circuit', 'Lusail Circuit', 'Losail Circuit', 'حلبة لوسيل'],
+        district: 'Lusail',
+        lat: 25.4900,
+        lng: 51.4542
+    },
+    {
+        slug: 'place-vendome',
+        name: 'Place Vendôme',
+        aliases: ['Place Vendome', 'Place Vendome Mall', 'بلاس فاندوم'],
+        district: 'Lusail',
+        lat: 25.4236,
+        lng: 51.5039
+    },
+    {
+        slug: 'aspire-park',
+        name: 'Aspire Park',
+        aliases: ['Aspire Zone', 'Aspire Zone Park', 'حديقة أسباير'],
+        district: 'Al Waab',
+        lat: 25.2622,
+        lng: 51.4420
+    },
+    {
+        slug: 'khalifa-international-stadium',
+        name: 'Khalifa International Stadium',
+        aliases: ['Khalifa Stadium', 'استاد خليفة الدولي'],
+        district: 'Al Waab',
+        lat: 25.2635,
+        lng: 51.4481
+    },
+    {
+        slug: '3-2-1-qatar-olympic-and-sports-museum',
+        name: '3-2-1 Qatar Olympic and Sports Museum',
+        aliases: ['3-2-1 Museum', '321 Museum', 'Qatar Olympic and Sports Museum', 'متحف 3-2-1'],
+        district: 'Al Waab',
+        lat: 25.2640,
+        lng: 51.4490
+    },
+    {
+        slug: 'qatar-national-convention-centre',
+        name: 'Qatar National Convention Centre',
+        aliases: ['QNCC', 'Qatar National Convention Center', 'مركز قطر الوطني للمؤتمرات'],
+        district: 'Education City',
+        lat: 25.3197,
+        lng: 51.4392
+    },
+    {
+        slug: 'qatar-national-library',
+        name: 'Qatar National Library',
+        aliases: ['QNL', 'مكتبة قطر الوطنية'],
+        district: 'Education City',
+        lat: 25.3164,
+        lng: 51.4410
+    },
+    {
+        slug: 'mathaf-arab-museum-of-modern-art',
+        name: 'Mathaf: Arab Museum of Modern Art',
+        aliases: ['Mathaf', 'Arab Museum of Modern Art', 'متحف: المتحف العربي للفن الحديث'],
+        district: 'Education City',
+        lat: 25.3106,
+        lng: 51.4262
+    },
+    {
+        slug: 'doha-exhibition-and-convention-center',
+        name: 'Doha Exhibition and Convention Center',
+        aliases: ['DECC', 'Doha Exhibition and Convention Centre', 'مركز الدوحة للمعارض والمؤتمرات'],
+        district: 'West Bay',
+        lat: 25.3207,
+        lng: 51.5296
+    },
+    {
+        slug: 'al-bidda-park',
+        name: 'Al Bidda Park',
+        aliases: ['Bidda Park', 'Expo 2023 Doha', 'حديقة البدع'],
+        district: 'Al Bidda',
+        lat: 25.3040,
+        lng: 51.5180
+    },
+    {
+        slug: 'fire-station',
+        name: 'Fire Station',
+        aliases: ['Fire Station Artist in Residence', 'Fire Station Doha', 'مطافئ'],
+        district: 'Al Bidda',
+        lat: 25.2896,
+        lng: 51.5150
+    },
+    {
+        slug: 'old-doha-port',
+        name: 'Old Doha Port',
+        aliases: ['Mina District', 'Doha Port', 'ميناء الدوحة القديم'],
+        district: 'Mina District',
+        lat: 25.2941,
+        lng: 51.5450
+    },
+    {
+        slug: 'doha-festival-city',
+        name: 'Doha Festival City',
+        aliases: ['DFC', 'Festival City', 'دوحة فستيفال سيتي'],
+        district: 'Umm Salal',
+        lat: 25.3910,
+        lng: 51.4480
+    },
+    {
+        slug: 'al-zubarah-fort',
+        name: 'Al Zubarah Fort',
+        aliases: ['Zubarah Fort', 'Al Zubarah', 'قلعة الزبارة'],
+        district: 'Al Shamal',
+        lat: 25.9783,
+        lng: 51.0460
+    }
+];
@@ -0,0 +1,108 @@
+/**
+ * CanonicalEvent Model
+ * MongoDB schema for a real-world event merged from one or more source records
+ */
+
+const mongoose = require('mongoose');
+
+// A source record that belongs to the cluster
+const memberSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true
+    },
+
+    source: {
+        type: String,
+        required: true
+    },
+
+    link: {
+        type: String,
+        default: ''
+    }
+}, { _id: false });
+
+const canonicalEventSchema = new mongoose.Schema({
+    // Stable identifier derived from the cluster's first-seen member
+    canonicalId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    // Source record that provides the title, date and link
+    primaryEventId: {
+        type: String,
+        required: true
+    },
+
+    title: {
+        type: String,
+        required: true
+    },
+
+    date: {
+        type: Date,
+        default: null
+    },
+
+    endDate: {
+        type: Date,
+        default: null
+    },
+
+    venue: {
+        type: String,
+        default: ''
+    },
+
+    category: {
+        type: String,
+        default: ''
+    },
+
+    // Merged fields, chosen per config/mergeRules.js
+    price: {
+        type: String,
+        default: ''
+    },
+
+    image: {
+        type: String,
+        default: ''
+    },
+
+    description: {
+        type: String,
+        default: ''
+    },
+
+    // Source that won each merged field
+    fieldSources: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+
+    sources: {
+        type: [String],
+        default: [],
+        index: true
+    },
+
+    members: {
+        type: [memberSchema],
+        default: []
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+// Index for resolving a source record to its cluster
+canonicalEventSchema.index({ 'members.eventId': 1 });
+
+const CanonicalEvent = mongoose.model('CanonicalEvent', canonicalEventSchema);
+
+module.exports = CanonicalEvent;
@@ -0,0 +1,65 @@
+/**
+ * ChatSession Model
+ * MongoDB schema for chatbot conversations, so follow-up questions keep their context
+ */
+
+const mongoose = require('mongoose');
+
+// A single user or assistant message
+const chatTurnSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['user', 'assistant'],
+        required: true
+    },
+
+    content: {
+        type: String,
+        required: true
+    },
+
+    // Events shown with an assistant message
+    eventIds: {
+        type: [String],
+        default: []
+    },
+
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const chatSessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Oldest first
+    turns: {
+        type: [chatTurnSchema],
+        default: []
+    },
+
+    // Events shown in this conversation, most recently shown first
+    shownEventIds: {
+        type: [String],
+        default: []
+    },
+
+    // Pushed back with every message; MongoDB deletes the session once it passes
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+chatSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ChatSession = mongoose.model('ChatSession', chatSessionSchema);
+
+module.exports = ChatSession;
@@ -0,0 +1,41 @@
+/**
+ * ClusterOverride Model
+ * MongoDB schema for editor corrections to cross-source event clustering
+ */
+
+const mongoose = require('mongoose');
+
+const clusterOverrideSchema = new mongoose.Schema({
+    // 'merge' forces the events into one cluster, 'never' keeps a pair apart,
+    // 'split' keeps every listed event in a cluster of its own
+    type: {
+        type: String,
+        enum: ['merge', 'never', 'split'],
+        required: true
+    },
+
+    // Source event IDs (eventId) the override applies to
+    eventIds: {
+        type: [String],
+        required: true
+    },
+
+    // Cluster the override was created from, for reference only
+    canonicalId: {
+        type: String,
+        default: null
+    },
+
+    note: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+clusterOverrideSchema.index({ eventIds: 1 });
+
+const ClusterOverride = mongoose.model('ClusterOverride', clusterOverrideSchema);
+
+module.exports = ClusterOverride;
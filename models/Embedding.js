@@ -26,7 +26,7 @@ const embeddingSchema = new mongoose.Schema({
         }
     },
     
-    // Model used to generate embedding
+    // Model used to generate embedding (providers/ embeddingModel)
     model: {
         type: String,
         default: 'text-embedding-004'
@@ -49,9 +49,9 @@ embeddingSchema.statics.findByEventId = function(eventId) {
     return this.findOne({ eventId });
 };
 
-// Static method to get all embeddings
-embeddingSchema.statics.getAllEmbeddings = function() {
-    return this.find({}).select('eventId embedding');
+// Static method to get all embeddings made by a model
+embeddingSchema.statics.getAllEmbeddings = function(model) {
+    return this.find({ model }).select('eventId embedding');
 };
 
 // Static method to bulk upsert embeddings
@@ -62,7 +62,7 @@ embeddingSchema.statics.bulkUpsert = async function(embeddingsData) {
             update: {
                 $set: {
                     embedding: data.embedding,
-                    model: data.model || 'text-embedding-004',
+                    model: data.model,
                     dimension: data.embedding.length
                 }
             },
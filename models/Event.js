@@ -4,6 +4,22 @@
  */
 
 const mongoose = require('mongoose');
+const searchConfig = require('../config/search');
+const textSearch = require('../utils/textSearch');
+
+// GeoJSON point; coordinates are [longitude, latitude]
+const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        required: true
+    },
+
+    coordinates: {
+        type: [Number],
+        required: true
+    }
+}, { _id: false });
 
 const eventSchema = new mongoose.Schema({
     // Unique identifier (source-based)
@@ -27,9 +43,10 @@ const eventSchema = new mongoose.Schema({
     },
     
     // Date and time
+    // Null when the listing's date could not be parsed (see dateUnknown)
     date: {
         type: Date,
-        required: true,
+        default: null,
         index: true
     },
     
@@ -38,15 +55,74 @@ const eventSchema = new mongoose.Schema({
         default: null
     },
     
+    // No time of day was given
+    allDay: {
+        type: Boolean,
+        default: false
+    },
+    
+    // RRULE for repeating and multi-day events, e.g. "FREQ=WEEKLY;BYDAY=FR"
+    recurrence: {
+        type: String,
+        default: null
+    },
+    
+    // End of the last occurrence; null when the event repeats indefinitely
+    recurrenceEnd: {
+        type: Date,
+        default: null
+    },
+    
+    // How sure the date parser was, from 0 (unknown) to 1
+    dateConfidence: {
+        type: Number,
+        default: 1
+    },
+    
+    dateUnknown: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    
     time: {
         type: String,
         default: ''
     },
     
     // Event details
+    // Price as listed by the source; the fields below are parsed from it
     price: {
         type: String,
-        default: 'Free'
+        default: ''
+    },
+    
+    priceMin: {
+        type: Number,
+        default: null,
+        index: true
+    },
+    
+    priceMax: {
+        type: Number,
+        default: null
+    },
+    
+    currency: {
+        type: String,
+        default: null
+    },
+    
+    isFree: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    
+    // False when the listing gives no usable price ("Check website")
+    priceKnown: {
+        type: Boolean,
+        default: false
     },
     
     category: {
@@ -55,6 +131,19 @@ const eventSchema = new mongoose.Schema({
         index: true
     },
     
+    // Canonical venue (Venue.slug) matched from the venue text, if any
+    venueId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    
+    // Coordinates of the matched venue, null when the venue is unknown
+    location: {
+        type: pointSchema,
+        default: null
+    },
+    
     venue: {
         type: String,
         default: ''
@@ -83,7 +172,75 @@ const eventSchema = new mongoose.Schema({
         index: true
     },
     
-    // Pre-computed searchable text for RAG
+    // Lifecycle tracking across scrapes
+    status: {
+        type: String,
+        enum: ['active', 'removed', 'cancelled'],
+        default: 'active',
+        index: true
+    },
+    
+    // Hash of the scraped content, used to detect changes between runs
+    contentHash: {
+        type: String,
+        default: ''
+    },
+    
+    firstSeenAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    
+    lastSeenAt: {
+        type: Date,
+        default: null
+    },
+    
+    lastChangedAt: {
+        type: Date,
+        default: null
+    },
+    
+    removedAt: {
+        type: Date,
+        default: null
+    },
+    
+    // Canonical event this record was clustered into
+    canonicalId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    
+    // False for records shown through another source's primary record
+    isPrimary: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    
+    // Lowest price in QAR and free flag of the merged listing, which may take
+    // its price from another source, so price filters can run in the database
+    mergedMinPriceQar: {
+        type: Number,
+        default: null
+    },
+    
+    mergedIsFree: {
+        type: Boolean,
+        default: false
+    },
+    
+    // Sample data served in fixture mode, never shown as real listings
+    isFixture: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    
+    // Normalized title, description, venue etc. for prefix searches
     searchableText: {
         type: String,
         default: ''
@@ -95,47 +252,71 @@ const eventSchema = new mongoose.Schema({
 // Compound index for efficient date range queries
 eventSchema.index({ date: 1, category: 1 });
 eventSchema.index({ source: 1, date: 1 });
+eventSchema.index({ recurrence: 1, recurrenceEnd: 1 });
+eventSchema.index({ date: 1, endDate: 1 });
+eventSchema.index({ location: '2dsphere' });
+
+// Weighted full-text index; language "none" disables stemming so Arabic and
+// English titles are matched the same way
+eventSchema.index(
+    { title: 'text', venue: 'text', description: 'text' },
+    { name: 'event_text', weights: searchConfig.weights, default_language: 'none' }
+);
 
 // Method to generate searchable text
+// Bulk upserts skip the pre-save hook and set searchableText themselves
 eventSchema.methods.generateSearchableText = function() {
-    const parts = [
-        this.title,
-        this.description,
-        this.category,
-        this.venue,
-        this.price,
-        this.organizer
-    ].filter(Boolean);
-    
-    return parts.join(' ');
+    return textSearch.searchableText(this);
 };
 
 // Pre-save hook to generate searchable text
 eventSchema.pre('save', function(next) {
-    if (this.isModified('title') || this.isModified('description') || !this.searchableText) {
+    if (this.isModified('title') || this.isModified('description') || this.isModified('venue') ||
+        !this.searchableText) {
         this.searchableText = this.generateSearchableText();
     }
     next();
 });
 
+// Static method to build a date range filter
+// Matches events whose [date, endDate] interval overlaps the range. Recurring
+// events are candidates while their series is running; callers expand
+// occurrences to check which of them fall in the range
+eventSchema.statics.dateRangeFilter = function(startDate, endDate, filter = {}) {
+    return {
+        $and: [filter, {
+            $or: [
+                {
+                    recurrence: null,
+                    date: { $lte: endDate },
+                    $or: [
+                        { endDate: { $gte: startDate } },
+                        { endDate: null, date: { $gte: startDate } }
+                    ]
+                },
+                {
+                    recurrence: { $ne: null },
+                    date: { $lte: endDate },
+                    $or: [{ recurrenceEnd: null }, { recurrenceEnd: { $gte: startDate } }]
+                }
+            ]
+        }]
+    };
+};
+
 // Static method to find events by date range
-eventSchema.statics.findByDateRange = function(startDate, endDate) {
-    return this.find({
-        date: {
-            $gte: startDate,
-            $lte: endDate
-        }
-    }).sort({ date: 1 });
+eventSchema.statics.findByDateRange = function(startDate, endDate, filter = {}) {
+    return this.find(this.dateRangeFilter(startDate, endDate, filter)).sort({ date: 1 });
 };
 
 // Static method to find events by category
-eventSchema.statics.findByCategory = function(category) {
-    return this.find({ category }).sort({ date: 1 });
+eventSchema.statics.findByCategory = function(category, filter = {}) {
+    return this.find({ ...filter, category }).sort({ date: 1 });
 };
 
 // Static method to get all unique categories
-eventSchema.statics.getCategories = async function() {
-    const categories = await this.distinct('category');
+eventSchema.statics.getCategories = async function(filter = {}) {
+    const categories = await this.distinct('category', filter);
     return categories.sort();
 };
 
@@ -0,0 +1,122 @@
+/**
+ * ScrapeRun Model
+ * MongoDB schema for the history of scraping runs
+ */
+
+const mongoose = require('mongoose');
+
+// Outcome of a single source within a run
+const sourceRunSchema = new mongoose.Schema({
+    source: {
+        type: String,
+        required: true
+    },
+
+    startedAt: {
+        type: Date,
+        required: true
+    },
+
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+
+    status: {
+        type: String,
+        enum: ['running', 'success', 'failed'],
+        default: 'running'
+    },
+
+    // Listing entries found before parsing (links, cards or raw JSON items)
+    linksFound: {
+        type: Number,
+        default: 0
+    },
+
+    eventsParsed: {
+        type: Number,
+        default: 0
+    },
+
+    failures: {
+        type: Number,
+        default: 0
+    },
+
+    // Times the scraper fell back to fixture events
+    mockFallbacks: {
+        type: Number,
+        default: 0
+    },
+
+    classifierCalls: {
+        type: Number,
+        default: 0
+    },
+
+    eventsSaved: {
+        type: Number,
+        default: 0
+    },
+
+    // Result of diffing the snapshot against stored events
+    changes: {
+        new: { type: Number, default: 0 },
+        changed: { type: Number, default: 0 },
+        unchanged: { type: Number, default: 0 },
+        removed: { type: Number, default: 0 },
+        cancelled: { type: Number, default: 0 }
+    },
+
+    // Named errorMessages because `errors` is reserved by Mongoose
+    errorMessages: {
+        type: [String],
+        default: []
+    }
+}, { _id: false });
+
+const scrapeRunSchema = new mongoose.Schema({
+    // What started the run
+    trigger: {
+        type: String,
+        enum: ['startup', 'scheduled', 'manual'],
+        required: true
+    },
+
+    startedAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+
+    status: {
+        type: String,
+        enum: ['running', 'success', 'partial', 'failed', 'skipped'],
+        default: 'running'
+    },
+
+    sources: {
+        type: [sourceRunSchema],
+        default: []
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+scrapeRunSchema.index({ 'sources.source': 1, startedAt: -1 });
+
+// Static method to list the most recent runs, optionally for one source
+scrapeRunSchema.statics.findRecent = function(limit = 20, source = null) {
+    const filter = source ? { 'sources.source': source } : {};
+    return this.find(filter).sort({ startedAt: -1 }).limit(limit);
+};
+
+const ScrapeRun = mongoose.model('ScrapeRun', scrapeRunSchema);
+
+module.exports = ScrapeRun;
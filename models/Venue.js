@@ -0,0 +1,48 @@
+/**
+ * Venue Model
+ * MongoDB schema for canonical venues that events are matched to
+ */
+
+const mongoose = require('mongoose');
+
+const venueSchema = new mongoose.Schema({
+    // Stable identifier, stored on events as venueId
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true
+    },
+
+    // Other spellings seen in listings, matched case- and punctuation-insensitively
+    aliases: {
+        type: [String],
+        default: []
+    },
+
+    district: {
+        type: String,
+        default: ''
+    },
+
+    lat: {
+        type: Number,
+        default: null
+    },
+
+    lng: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: true // Adds createdAt and updatedAt
+});
+
+const Venue = mongoose.model('Venue', venueSchema);
+
+module.exports = Venue;
@@ -0,0 +1,52 @@
+/**
+ * Gemini Provider
+ * Google Gemini models for answers, embeddings and classification
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { classificationPrompt, matchLabel } = require('./index');
+
+class GeminiProvider {
+    /**
+     * @param {Object} config - config/llm.js gemini section
+     */
+    constructor(config) {
+        if (!config.apiKey) {
+            throw new Error('The gemini provider needs GEMINI_API_KEY');
+        }
+
+        const genAI = new GoogleGenerativeAI(config.apiKey);
+        this.name = 'gemini';
+        this.embeddingModel = config.embeddingModel;
+        this.embedder = genAI.getGenerativeModel({ model: config.embeddingModel });
+        this.chatModel = genAI.getGenerativeModel({ model: config.chatModel });
+        this.classifyModel = genAI.getGenerativeModel({ model: config.classifyModel });
+    }
+
+    async embed(text) {
+        const result = await this.embedder.embedContent(text);
+        return result.embedding.values;
+    }
+
+    async generate(prompt, { signal } = {}) {
+        const result = await this.chatModel.generateContent(prompt, { signal });
+        return result.response.text();
+    }
+
+    async *generateStream(prompt, { signal } = {}) {
+        const result = await this.chatModel.generateContentStream(prompt, { signal });
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) {
+                yield text;
+            }
+        }
+    }
+
+    async classify(text, labels) {
+        const result = await this.classifyModel.generateContent(classificationPrompt(text, labels));
+        return matchLabel(result.response.text(), labels);
+    }
+}
+
+module.exports = GeminiProvider;
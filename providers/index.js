@@ -0,0 +1,77 @@
+/**
+ * Language Model Providers
+ * Creates the provider selected in config/llm.js
+ *
+ * Every provider exposes the same methods:
+ *   - name: provider name, e.g. 'gemini'
+ *   - embeddingModel: identifies the embeddings it makes; stored with each
+ *     vector so vectors from different models are never compared
+ *   - embed(text): resolves to an embedding vector
+ *   - generate(prompt, { signal, query, events }): resolves to the answer text
+ *   - generateStream(prompt, { signal, query, events }): async iterable of answer pieces
+ *   - classify(text, labels): resolves to one of labels, or null
+ * `query` and `events` carry the question and retrieved events for providers
+ * that can't follow a prompt; those return '' for prompts without events.
+ */
+
+const path = require('path');
+const llmConfig = require('../config/llm');
+
+// Provider name -> module in providers/
+const PROVIDER_MODULES = {
+    gemini: 'gemini',
+    openai: 'openai',
+    offline: 'offline'
+};
+
+/**
+ * Create a provider
+ * @param {string} [name] - Provider name (default: config/llm.js provider)
+ * @returns {Object|null} null when the name is 'none'
+ */
+function createProvider(name = llmConfig.provider) {
+    if (!name || name === 'none') {
+        return null;
+    }
+
+    const moduleName = PROVIDER_MODULES[name];
+    if (!moduleName) {
+        throw new Error(`Unknown LLM provider "${name}" (expected ${Object.keys(PROVIDER_MODULES).join(', ')} or none)`);
+    }
+
+    const Provider = require(path.join(__dirname, moduleName));
+    return new Provider(llmConfig[name]);
+}
+
+/**
+ * Prompt asking a model to pick one label for a text
+ */
+function classificationPrompt(text, labels) {
+    return `You are an event categorization expert. Classify the following into ONE of these categories:
+${labels.join(', ')}
+
+${text}
+
+Return ONLY the category name, nothing else. Choose the most appropriate single category.`;
+}
+
+/**
+ * The label a model's reply names, or null
+ */
+function matchLabel(reply, labels) {
+    const answer = String(reply || '').trim().toLowerCase();
+    if (!answer) {
+        return null;
+    }
+
+    return labels.find(label =>
+        answer.includes(label.toLowerCase()) ||
+        label.toLowerCase().includes(answer)
+    ) || null;
+}
+
+module.exports = {
+    createProvider,
+    classificationPrompt,
+    matchLabel
+};
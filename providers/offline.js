@@ -0,0 +1,102 @@
+/**
+ * Offline Provider
+ * Deterministic stand-in that needs no network or model, so the chatbot and
+ * classifier can run in development and tests
+ *
+ * Embeddings hash each word and word pair of a text into a fixed-length
+ * vector, so texts sharing words come out similar. Answers are a template
+ * listing the retrieved events with their citations, and classification picks the label whose
+ * words appear most in the text.
+ */
+
+const answerGrounding = require('../utils/answerGrounding');
+const textSearch = require('../utils/textSearch');
+
+// Words in category labels that say nothing about the category
+const LABEL_STOPWORDS = new Set(['other']);
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function hash(text) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 0x01000193);
+    }
+    return value >>> 0;
+}
+
+class OfflineProvider {
+    /**
+     * @param {Object} config - config/llm.js offline section
+     */
+    constructor(config) {
+        this.name = 'offline';
+        this.dimensions = config.dimensions;
+        this.embeddingModel = `offline-hash-${config.dimensions}`;
+    }
+
+    async embed(text) {
+        const words = textSearch.tokenize(text);
+        const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+        const vector = new Array(this.dimensions).fill(0);
+
+        for (const feature of features) {
+            const value = hash(feature);
+            // A hashed sign keeps colliding features from always adding up
+            vector[value % this.dimensions] += (value >>> 31) ? 1 : -1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+        return norm > 0 ? vector.map(x => x / norm) : vector;
+    }
+
+    async generate(prompt, { query, events } = {}) {
+        if (!events) {
+            return '';
+        }
+
+        if (events.length === 0) {
+            return `I couldn't find any events matching "${query}". Try other dates, or fewer filters.`;
+        }
+
+        const lines = events.map((event, index) => {
+            const date = event.dateDisplay || new Date(event.date).toLocaleDateString();
+            const price = event.price ? ` (${event.price})` : '';
+            // The retrieved events come first in the prompt, so their aliases match their order
+            return `${index + 1}. ${event.title}: ${date} at ${event.venue}${price} [${answerGrounding.aliasFor(index)}]`;
+        });
+        return `Here are the events that best match "${query}":\n\n${lines.join('\n')}`;
+    }
+
+    async *generateStream(prompt, options = {}) {
+        const answer = await this.generate(prompt, options);
+        // Word by word, like a model would send it
+        for (const piece of answer.match(/\S+\s*|\s+/g) || []) {
+            yield piece;
+        }
+    }
+
+    async classify(text, labels) {
+        const words = textSearch.tokenize(text);
+        let best = null;
+        let bestScore = 0;
+
+        for (const label of labels) {
+            // Match on the start of each label word, so "concert" counts for "Concerts" and "art" for "Arts"
+            const stems = textSearch.tokenize(label)
+                .filter(word => !LABEL_STOPWORDS.has(word))
+                .map(word => word.replace(/s$/, '').slice(0, 5));
+            const score = words.filter(word => stems.some(stem => word.startsWith(stem))).length;
+            if (score > bestScore) {
+                best = label;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+}
+
+module.exports = OfflineProvider;
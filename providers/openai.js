@@ -0,0 +1,92 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any server with the OpenAI chat completions and embeddings API, such as
+ * Ollama, llama.cpp, vLLM or LM Studio running locally
+ */
+
+const axios = require('axios');
+const { classificationPrompt, matchLabel } = require('./index');
+
+class OpenAICompatibleProvider {
+    /**
+     * @param {Object} config - config/llm.js openai section
+     */
+    constructor(config) {
+        this.name = 'openai';
+        this.baseUrl = config.baseUrl.replace(/\/$/, '');
+        this.chatModel = config.chatModel;
+        this.classifyModel = config.classifyModel;
+        this.embeddingModel = config.embeddingModel;
+        this.timeoutMs = config.timeoutMs;
+        this.headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+    }
+
+    /**
+     * POST to an API path
+     */
+    post(path, body, options = {}) {
+        return axios.post(`${this.baseUrl}${path}`, body, {
+            headers: this.headers,
+            timeout: this.timeoutMs,
+            ...options
+        });
+    }
+
+    async embed(text) {
+        const response = await this.post('/embeddings', { model: this.embeddingModel, input: text });
+        return response.data.data[0].embedding;
+    }
+
+    async generate(prompt, { signal } = {}) {
+        return this.complete(this.chatModel, prompt, { signal });
+    }
+
+    async *generateStream(prompt, { signal } = {}) {
+        const response = await this.post('/chat/completions', {
+            model: this.chatModel,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true
+        }, { responseType: 'stream', signal });
+
+        // The reply is itself Server-Sent Events: "data: {json}" lines ending with "data: [DONE]"
+        let buffer = '';
+        for await (const chunk of response.data) {
+            buffer += chunk.toString('utf8');
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line.startsWith('data:')) {
+                    continue;
+                }
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') {
+                    return;
+                }
+                const text = JSON.parse(payload).choices[0]?.delta?.content;
+                if (text) {
+                    yield text;
+                }
+            }
+        }
+    }
+
+    async classify(text, labels) {
+        const reply = await this.complete(this.classifyModel, classificationPrompt(text, labels), { temperature: 0 });
+        return matchLabel(reply, labels);
+    }
+
+    /**
+     * Single chat completion
+     */
+    async complete(model, prompt, { signal, temperature } = {}) {
+        const response = await this.post('/chat/completions', {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            ...(temperature !== undefined && { temperature })
+        }, { signal });
+        return response.data.choices[0].message.content || '';
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -2,13 +2,26 @@
  * Qatar Events Aggregator - Frontend Application
  */
 
+// Events per page in the grid and in the map view
+const PAGE_SIZE = 24;
+const MAP_PAGE_SIZE = 200;
+
+// Pause in typing before the search is sent
+const SEARCH_DEBOUNCE_MS = 300;
+
 class EventsApp {
     constructor() {
         this.events = [];
-        this.filteredEvents = [];
+        this.totalEvents = 0;
+        this.nextCursor = null;
+        this.isLoadingMore = false;
+        this.requestId = 0; // Discards responses for filters that have since changed
+        this.searchQuery = '';
         this.categories = new Set();
         this.currentDateRange = 'week';
         this.currentCategory = 'all';
+        this.currentView = 'grid';
+        this.mapReady = null;
 
         this.initializeElements();
         this.attachEventListeners();
@@ -18,11 +31,19 @@ class EventsApp {
 
     initializeElements() {
         this.eventsGrid = document.getElementById('eventsGrid');
+        this.loadMoreEl = document.getElementById('loadMore');
         this.loading = document.getElementById('loading');
         this.error = document.getElementById('error');
         this.emptyState = document.getElementById('emptyState');
         this.errorMessage = document.getElementById('errorMessage');
 
+        // Grid / map view
+        this.gridViewBtn = document.getElementById('gridViewBtn');
+        this.mapViewBtn = document.getElementById('mapViewBtn');
+        this.mapContainer = document.getElementById('eventsMapContainer');
+        this.mapElement = document.getElementById('eventsMap');
+        this.mapNote = document.getElementById('mapNote');
+
         // Quick action buttons
         this.todayBtn = document.getElementById('todayBtn');
         this.weekBtn = document.getElementById('weekBtn');
@@ -78,18 +99,33 @@ class EventsApp {
         // Theme toggle
         this.themeToggle.addEventListener('click', () => this.toggleTheme());
 
-        // Search input
+        // Search input, searched on the server once typing pauses
         this.searchInput.addEventListener('input', (e) => {
-            this.searchQuery = e.target.value.toLowerCase();
-            this.filterAndRenderEvents();
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.searchQuery = e.target.value.trim();
+                this.loadEvents();
+            }, SEARCH_DEBOUNCE_MS);
         });
 
+        // Infinite scroll: load the next page as the end of the grid comes into view
+        this.loadMoreObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreEvents();
+            }
+        }, { rootMargin: '400px' });
+        this.loadMoreObserver.observe(this.loadMoreEl);
+
         // Quick action buttons for date range
         this.todayBtn.addEventListener('click', () => this.setDateRange('today'));
         this.weekBtn.addEventListener('click', () => this.setDateRange('week'));
         this.monthBtn.addEventListener('click', () => this.setDateRange('month'));
         this.allBtn.addEventListener('click', () => this.setDateRange('all'));
 
+        // Grid / map view toggle
+        this.gridViewBtn.addEventListener('click', () => this.setView('grid'));
+        this.mapViewBtn.addEventListener('click', () => this.setView('map'));
+
         // Sidebar toggle
         this.sidebarToggle.addEventListener('click', () => this.openSidebar());
         this.sidebarClose.addEventListener('click', () => this.closeSidebar());
@@ -107,6 +143,17 @@ class EventsApp {
             this.closeModal();
         });
 
+        // Back and forward move between the listing and event URLs opened in the modal
+        window.addEventListener('popstate', (e) => {
+            const eventId = e.state && e.state.eventId;
+            const event = eventId && this.events.find(item => item.id === eventId);
+            if (event) {
+                this.showEventDetails(event, { updateHistory: false });
+            } else {
+                this.hideModal();
+            }
+        });
+
         // Close modal on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -153,6 +200,16 @@ class EventsApp {
         this.loadEvents();
     }
 
+    setView(view) {
+        this.currentView = view;
+
+        [this.gridViewBtn, this.mapViewBtn].forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.view === view);
+        });
+
+        this.renderEvents();
+    }
+
     setCategory(category) {
         this.currentCategory = category;
 
@@ -165,29 +222,105 @@ class EventsApp {
             }
         });
 
-        this.filterAndRenderEvents();
+        this.loadEvents();
+    }
+
+    /**
+     * Fetch a page of events for the current filters
+     * @param {string|null} cursor - nextCursor of the previous page
+     */
+    async fetchEvents(cursor) {
+        const params = new URLSearchParams({
+            range: this.currentDateRange,
+            // The map plots every event, so it pulls pages in bigger batches
+            limit: this.currentView === 'map' ? MAP_PAGE_SIZE : PAGE_SIZE
+        });
+        if (this.currentCategory !== 'all') {
+            params.set('category', this.currentCategory);
+        }
+        if (this.searchQuery) {
+            params.set('q', this.searchQuery);
+        }
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+
+        const response = await fetch(`/api/events?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load events');
+        }
+        return data;
     }
 
     async loadEvents() {
+        const requestId = ++this.requestId;
+        this.nextCursor = null;
+        this.isLoadingMore = false;
+        this.updateLoadMore();
+
         try {
             this.showLoading();
 
-            const response = await fetch(`/api/events?range=${this.currentDateRange}`);
-            const data = await response.json();
-
-            if (!data.success) {
-                throw new Error(data.error || 'Failed to load events');
-            }
+            const data = await this.fetchEvents(null);
+            if (requestId !== this.requestId) return;
 
             this.events = data.events || [];
+            this.totalEvents = data.total;
+            this.nextCursor = data.nextCursor;
             this.updateLastUpdate(data.lastUpdate);
-            this.filterAndRenderEvents();
+            this.renderEvents();
 
         } catch (err) {
-            this.showError(err.message);
+            if (requestId === this.requestId) {
+                this.showError(err.message);
+            }
         }
     }
 
+    /**
+     * Append the next page of events
+     */
+    async loadMoreEvents() {
+        if (!this.nextCursor || this.isLoadingMore || this.events.length === 0) return;
+
+        const requestId = this.requestId;
+        this.isLoadingMore = true;
+        this.updateLoadMore();
+
+        try {
+            const data = await this.fetchEvents(this.nextCursor);
+            if (requestId !== this.requestId) return;
+
+            this.events.push(...data.events);
+            this.nextCursor = data.nextCursor;
+
+            if (this.currentView === 'map') {
+                this.renderMap();
+            } else {
+                data.events.forEach((event, index) => {
+                    this.eventsGrid.appendChild(this.createEventCard(event, index));
+                });
+
+                // Re-observing reports the end of the grid again if it is still in view
+                this.loadMoreObserver.unobserve(this.loadMoreEl);
+                this.loadMoreObserver.observe(this.loadMoreEl);
+            }
+        } catch (err) {
+            console.error('Failed to load more events:', err);
+        } finally {
+            this.isLoadingMore = false;
+            this.updateLoadMore();
+        }
+    }
+
+    updateLoadMore() {
+        const showing = this.currentView === 'grid' && this.nextCursor && this.events.length > 0;
+        this.loadMoreEl.style.display = showing ? 'block' : 'none';
+        this.loadMoreEl.textContent = this.isLoadingMore ? 'Loading more events...' : '';
+    }
+
     async loadCategories() {
         try {
             const response = await fetch('/api/categories');
@@ -231,33 +364,10 @@ class EventsApp {
         }
     }
 
-    filterAndRenderEvents() {
-        // Filter by category
-        let filtered = [...this.events];
-
-        if (this.currentCategory !== 'all') {
-            filtered = filtered.filter(event =>
-                event.category.toLowerCase() === this.currentCategory.toLowerCase()
-            );
-        }
-
-        // Filter by search query
-        if (this.searchQuery) {
-            filtered = filtered.filter(event =>
-                event.title.toLowerCase().includes(this.searchQuery) ||
-                event.description.toLowerCase().includes(this.searchQuery) ||
-                event.venue.toLowerCase().includes(this.searchQuery)
-            );
-        }
-
-        this.filteredEvents = filtered;
-        this.renderEvents();
-    }
-
     renderEvents() {
         this.hideAllStates();
 
-        if (this.filteredEvents.length === 0) {
+        if (this.events.length === 0) {
             this.showEmptyState();
             // Update stats even if empty
             this.totalEventsEl.textContent = '0';
@@ -265,24 +375,104 @@ class EventsApp {
             return;
         }
 
-        this.eventsGrid.innerHTML = '';
-        this.totalEventsEl.textContent = this.filteredEvents.length;
-        this.topTotalEventsEl.textContent = this.filteredEvents.length;
+        this.totalEventsEl.textContent = this.totalEvents;
+        this.topTotalEventsEl.textContent = this.totalEvents;
+        this.updateLoadMore();
+
+        if (this.currentView === 'map') {
+            this.renderMap();
+            return;
+        }
 
-        this.filteredEvents.forEach((event, index) => {
+        this.eventsGrid.innerHTML = '';
+        this.events.forEach((event, index) => {
             const card = this.createEventCard(event, index);
             this.eventsGrid.appendChild(card);
         });
     }
 
+    /**
+     * Create the Leaflet map once, with tiles from /api/config
+     */
+    createMap() {
+        if (!this.mapReady) {
+            this.mapReady = (async () => {
+                const response = await fetch('/api/config');
+                const data = await response.json();
+                const settings = data.map;
+
+                const map = L.map(this.mapElement).setView(settings.center, settings.zoom);
+                L.tileLayer(settings.tileUrl, {
+                    attribution: settings.attribution,
+                    maxZoom: settings.maxZoom
+                }).addTo(map);
+
+                // Events at the same or nearby venues collapse into a cluster
+                this.markerLayer = L.markerClusterGroup
+                    ? L.markerClusterGroup({ maxClusterRadius: 40 })
+                    : L.layerGroup();
+                this.markerLayer.addTo(map);
+
+                return map;
+            })();
+        }
+        return this.mapReady;
+    }
+
+    /**
+     * Plot the loaded events at their venue coordinates
+     * Remaining pages are loaded in the background and plotted as they arrive
+     */
+    async renderMap() {
+        if (typeof L === 'undefined') {
+            this.mapNote.textContent = 'The map could not be loaded.';
+            return;
+        }
+
+        let map;
+        try {
+            map = await this.createMap();
+        } catch (err) {
+            this.mapReady = null;
+            this.mapNote.textContent = 'The map could not be loaded.';
+            return;
+        }
+
+        // Leaflet measures its container, which was hidden until now
+        map.invalidateSize();
+        this.markerLayer.clearLayers();
+
+        const located = this.events.filter(event => event.location && event.location.coordinates);
+        const markers = located.map(event => {
+            const [lng, lat] = event.location.coordinates;
+            const marker = L.marker([lat, lng], { title: event.title });
+            marker.bindTooltip(`${event.title}<br>${event.venue}`);
+            marker.on('click', () => this.showEventDetails(event));
+            return marker;
+        });
+        markers.forEach(marker => this.markerLayer.addLayer(marker));
+
+        if (markers.length > 0) {
+            map.fitBounds(L.latLngBounds(markers.map(marker => marker.getLatLng())), {
+                padding: [40, 40],
+                maxZoom: 15
+            });
+        }
+
+        const unplotted = this.events.length - located.length;
+        this.mapNote.textContent = unplotted > 0
+            ? `${unplotted} event${unplotted > 1 ? 's' : ''} without a known venue location ${unplotted > 1 ? 'are' : 'is'} not shown on the map.`
+            : '';
+
+        this.loadMoreEvents();
+    }
+
     createEventCard(event, index) {
         const card = document.createElement('div');
         card.className = 'event-card';
         card.style.animationDelay = `${index * 0.05}s`;
 
-        const eventDate = new Date(event.date);
-        // Use dateDisplay if available (for ranges), otherwise format the date
-        const formattedDate = event.dateDisplay || this.formatDate(eventDate);
+        const formattedDate = this.formatEventDate(event);
 
         const isInstagram = event.link && event.link.includes('instagram.com');
         const linkText = isInstagram ? 'Instagram' : event.source;
@@ -295,8 +485,10 @@ class EventsApp {
                      class="event-image"
                      onerror="this.src='https://images.unsplash.com/photo-1492684223066-81342ee5ff30?w=800'">
                 <span class="category-badge">${event.category}</span>
+                ${event.isFixture ? '<span class="fixture-badge">Sample data</span>' : ''}
             </div>
             <div class="event-content">
+                ${this.renderStatusBadge(event)}
                 <h3 class="event-title">${event.title}</h3>
                 <div class="event-meta">
                     <div class="event-meta-item">
@@ -309,7 +501,7 @@ class EventsApp {
                     ` : ''}
                 </div>
                 <div class="event-footer">
-                    <span class="event-price">${event.price || 'Free'}</span>
+                    <span class="event-price">${this.formatPrice(event)}</span>
                     <a href="${event.link}" target="_blank" class="event-link-btn ${linkClass}" onclick="event.stopPropagation()">
                         ${linkText} →
                     </a>
@@ -324,10 +516,45 @@ class EventsApp {
         return card;
     }
 
-    showEventDetails(event) {
-        const eventDate = new Date(event.date);
-        // Use dateDisplay if available (for ranges), otherwise format the date
-        const formattedDate = event.dateDisplay || this.formatDate(eventDate);
+    renderStatusBadge(event) {
+        if (event.status === 'cancelled') {
+            return '<span class="event-status-badge cancelled">Cancelled</span>';
+        }
+
+        const weekAgo = Date.now() - 7 * 24 * 60 * 60 * 1000;
+        if (event.firstSeenAt && new Date(event.firstSeenAt).getTime() >= weekAgo) {
+            return '<span class="event-status-badge new">New this week</span>';
+        }
+
+        return '';
+    }
+
+    renderOtherSources(event) {
+        const others = (event.sources || []).filter(source => source.eventId !== event.id);
+        if (others.length === 0) {
+            return '';
+        }
+
+        const links = others
+            .map(source => `<a href="${source.link}" target="_blank">${source.source}</a>`)
+            .join(', ');
+
+        return `
+            <div class="modal-meta-item">
+                <strong>Also listed on:</strong> ${links}
+            </div>
+        `;
+    }
+
+    /**
+     * Shareable page URL of an event
+     */
+    eventUrl(event) {
+        return `/events/${encodeURIComponent(event.id)}`;
+    }
+
+    showEventDetails(event, { updateHistory = true } = {}) {
+        const formattedDate = this.formatEventDate(event);
 
         const isInstagram = event.link && event.link.includes('instagram.com');
         const linkText = isInstagram ? 'Open on Instagram' : `Open on ${event.source}`;
@@ -340,6 +567,10 @@ class EventsApp {
                  onerror="this.src='https://images.unsplash.com/photo-1492684223066-81342ee5ff30?w=800'">
             <div class="modal-header">
                 <span class="event-category">${event.category}</span>
+                ${this.renderStatusBadge(event)}
+                ${event.isFixture ? `
+                    <p class="fixture-notice">This is sample data from fixture mode, not a real listing.</p>
+                ` : ''}
                 <h2 class="modal-title">${event.title}</h2>
             </div>
             <div class="modal-meta">
@@ -357,8 +588,9 @@ class EventsApp {
                     </div>
                 ` : ''}
                 <div class="modal-meta-item">
-                    <strong>Price:</strong> ${event.price || 'Free'}
+                    <strong>Price:</strong> ${this.formatPrice(event)}
                 </div>
+                ${this.renderOtherSources(event)}
             </div>
             ${event.description ? `
                 <div class="modal-description">
@@ -369,14 +601,38 @@ class EventsApp {
                 <a href="${event.link}" target="_blank" class="btn ${linkClass}">
                     ${linkText} →
                 </a>
+                ${event.dateUnknown ? '' : `
+                    <a href="/api/events/${encodeURIComponent(event.id)}.ics" class="btn btn-secondary" download>
+                        Add to calendar
+                    </a>
+                `}
             </div>
         `;
 
         this.modal.classList.add('active');
         document.body.style.overflow = 'hidden';
+
+        // Give the open modal the event's own URL, so it can be shared and Back closes it
+        if (updateHistory) {
+            const url = this.eventUrl(event);
+            if (history.state && history.state.eventId) {
+                history.replaceState({ eventId: event.id }, '', url);
+            } else {
+                history.pushState({ eventId: event.id }, '', url);
+            }
+        }
     }
 
     closeModal() {
+        // Going back to the listing URL hides the modal through popstate
+        if (history.state && history.state.eventId) {
+            history.back();
+        } else {
+            this.hideModal();
+        }
+    }
+
+    hideModal() {
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
     }
@@ -393,7 +649,7 @@ class EventsApp {
             }
         });
 
-        this.filterAndRenderEvents();
+        this.loadEvents();
         this.closeSidebar();
     }
 
@@ -448,12 +704,40 @@ class EventsApp {
         });
     }
 
+    formatPrice(event) {
+        if (event.isFree) {
+            return 'Free';
+        }
+        return event.price || 'Check website';
+    }
+
+    formatEventDate(event) {
+        if (event.dateUnknown) {
+            return 'Date to be announced';
+        }
+
+        // Weekly events read better as their weekdays than as a start date
+        const weekly = event.recurrence && event.recurrence.match(/FREQ=WEEKLY;BYDAY=([A-Z,]+)/);
+        if (weekly) {
+            const dayNames = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+            const days = weekly[1].split(',').map(day => dayNames[day]).join(', ');
+            const next = event.nextOccurrence
+                ? ` · next ${this.formatDate(new Date(event.nextOccurrence))}`
+                : '';
+            return `Every ${days}${next}`;
+        }
+
+        // Use dateDisplay if available (for ranges), otherwise format the date
+        return event.dateDisplay || this.formatDate(new Date(event.date));
+    }
+
     formatDate(date) {
         const options = {
             weekday: 'short',
             year: 'numeric',
             month: 'short',
-            day: 'numeric'
+            day: 'numeric',
+            timeZone: 'Asia/Qatar'
         };
         return date.toLocaleDateString('en-US', options);
     }
@@ -482,17 +766,20 @@ class EventsApp {
     showLoading() {
         this.hideAllStates();
         this.loading.style.display = 'flex';
+        this.mapContainer.style.display = 'none';
     }
 
     showError(message) {
         this.hideAllStates();
         this.errorMessage.textContent = message;
         this.error.style.display = 'block';
+        this.mapContainer.style.display = 'none';
     }
 
     showEmptyState() {
         this.hideAllStates();
         this.emptyState.style.display = 'block';
+        this.mapContainer.style.display = 'none';
         this.totalEventsEl.textContent = '0';
     }
 
@@ -500,7 +787,8 @@ class EventsApp {
         this.loading.style.display = 'none';
         this.error.style.display = 'none';
         this.emptyState.style.display = 'none';
-        this.eventsGrid.style.display = 'grid';
+        this.eventsGrid.style.display = this.currentView === 'grid' ? 'grid' : 'none';
+        this.mapContainer.style.display = this.currentView === 'map' ? 'block' : 'none';
     }
 }
 
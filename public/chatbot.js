@@ -1,12 +1,17 @@
 /**
  * Chatbot UI Component
  * Handles chat interface and communication with backend
+ * Answers stream in from /api/chat/stream; the send button stops them.
  */
 
+// Conversation ID, kept for the browser tab so follow-up questions keep their context
+const CHAT_SESSION_KEY = 'chatSessionId';
+
 class ChatbotUI {
     constructor() {
         this.isOpen = false;
         this.messages = [];
+        this.sessionId = sessionStorage.getItem(CHAT_SESSION_KEY);
         this.init();
     }
 
@@ -24,7 +29,10 @@ class ChatbotUI {
                         <span class="chatbot-icon">🤖</span>
                         <span>Events Assistant</span>
                     </div>
-                    <button class="chatbot-close" id="chatbotClose">✕</button>
+                    <div class="chatbot-header-actions">
+                        <button class="chatbot-reset" id="chatbotReset" title="New conversation" aria-label="New conversation">↺</button>
+                        <button class="chatbot-close" id="chatbotClose">✕</button>
+                    </div>
                 </div>
                 <div class="chatbot-messages" id="chatbotMessages">
                     <div class="bot-message">
@@ -65,14 +73,23 @@ class ChatbotUI {
     attachEventListeners() {
         const toggle = document.getElementById('chatbotToggle');
         const close = document.getElementById('chatbotClose');
+        const reset = document.getElementById('chatbotReset');
         const send = document.getElementById('chatbotSend');
         const input = document.getElementById('chatbotInput');
+        const messages = document.getElementById('chatbotMessages');
 
         toggle.addEventListener('click', () => this.toggleChat());
         close.addEventListener('click', () => this.closeChat());
+        reset.addEventListener('click', () => this.resetConversation());
         send.addEventListener('click', () => this.sendMessage());
+        messages.addEventListener('click', (e) => {
+            const link = e.target.closest('.chat-citation');
+            if (link) {
+                this.showCitedEvent(e, link);
+            }
+        });
         input.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
+            if (e.key === 'Enter' && !this.controller) {
                 this.sendMessage();
             }
         });
@@ -100,10 +117,33 @@ class ChatbotUI {
         document.getElementById('chatbotToggle').classList.remove('hidden');
     }
 
+    /**
+     * Forget the conversation and clear all but the greeting
+     */
+    async resetConversation() {
+        if (this.sessionId) {
+            fetch(`/api/chat/sessions/${encodeURIComponent(this.sessionId)}`, { method: 'DELETE' })
+                .catch(() => {});
+        }
+        this.sessionId = null;
+        sessionStorage.removeItem(CHAT_SESSION_KEY);
+
+        const messagesContainer = document.getElementById('chatbotMessages');
+        while (messagesContainer.children.length > 1) {
+            messagesContainer.lastElementChild.remove();
+        }
+    }
+
     async sendMessage() {
         const input = document.getElementById('chatbotInput');
         const query = input.value.trim();
 
+        // While an answer is streaming, the send button stops it
+        if (this.controller) {
+            this.controller.abort();
+            return;
+        }
+
         if (!query) return;
 
         // Add user message
@@ -112,32 +152,238 @@ class ChatbotUI {
 
         // Show typing indicator
         this.showTypingIndicator();
+        this.setStreaming(true);
 
+        let reply = null;
         try {
             // Send to backend
-            const response = await fetch('/api/chat', {
+            const response = await fetch('/api/chat/stream', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ query })
+                body: JSON.stringify({ query, sessionId: this.sessionId }),
+                signal: this.controller.signal
             });
 
-            const data = await response.json();
+            if (!response.ok || !response.body) {
+                throw new Error(`Chat request failed (${response.status})`);
+            }
 
-            // Remove typing indicator
-            this.hideTypingIndicator();
+            await this.readServerEvents(response.body, (event, data) => {
+                if (event === 'events') {
+                    this.sessionId = data.sessionId;
+                    sessionStorage.setItem(CHAT_SESSION_KEY, data.sessionId);
 
-            if (data.success) {
-                // Add bot response
-                this.addMessage(data.response, 'bot', data.events);
-            } else {
-                this.addMessage('Sorry, I encountered an error. Please try again.', 'bot');
-            }
+                    // Show the matched events while the answer is written
+                    this.hideTypingIndicator();
+                    reply = this.addStreamingMessage(data.events);
+                } else if (event === 'token') {
+                    reply.text += data.text;
+                    reply.content.innerHTML = this.formatAnswer(this.stripCitations(reply.text));
+                    this.scrollToBottom();
+                } else if (event === 'done') {
+                    // Replace the raw text with the checked answer and its citations
+                    this.showAnswer(reply, data);
+                    this.scrollToBottom();
+                } else if (event === 'error') {
+                    this.hideTypingIndicator();
+                    if (reply) {
+                        reply.content.innerHTML = this.escapeHtml(data.error);
+                    } else {
+                        this.addMessage(this.escapeHtml(data.error), 'bot');
+                    }
+                }
+            });
         } catch (error) {
             this.hideTypingIndicator();
-            this.addMessage('Sorry, I couldn\'t connect to the server. Please try again.', 'bot');
+            if (error.name === 'AbortError') {
+                if (reply) {
+                    reply.content.insertAdjacentHTML('beforeend', '<span class="chat-stopped">(stopped)</span>');
+                } else {
+                    this.addMessage('Stopped.', 'bot');
+                }
+            } else {
+                this.addMessage('Sorry, I couldn\'t connect to the server. Please try again.', 'bot');
+            }
+        } finally {
+            this.setStreaming(false);
+        }
+    }
+
+    /**
+     * Read a Server-Sent Events body, calling onEvent(event, data) for each message
+     */
+    async readServerEvents(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+
+            for (const message of messages) {
+                let event = 'message';
+                let data = '';
+                for (const line of message.split('\n')) {
+                    if (line.startsWith('event: ')) {
+                        event = line.slice(7);
+                    } else if (line.startsWith('data: ')) {
+                        data += line.slice(6);
+                    }
+                }
+                if (data) {
+                    onEvent(event, JSON.parse(data));
+                }
+            }
+        }
+    }
+
+    /**
+     * Switch the send button between sending and stopping an answer
+     */
+    setStreaming(streaming) {
+        const send = document.getElementById('chatbotSend');
+        this.controller = streaming ? new AbortController() : null;
+        send.classList.toggle('streaming', streaming);
+        send.title = streaming ? 'Stop answer' : 'Send';
+        send.innerHTML = streaming ? '<span>■</span>' : '<span>➤</span>';
+    }
+
+    /**
+     * Add an empty bot message with event cards, to be filled in as the answer arrives
+     * @returns {Object} { message, content, events, text } the message, the element
+     *   holding the answer, the matched events and the answer text so far
+     */
+    addStreamingMessage(events = []) {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'bot-message';
+        messageDiv.innerHTML = `
+            <div class="message-avatar">🤖</div>
+            <div class="message-content">
+                <div class="chat-answer"></div>
+                ${this.createEventCards(events)}
+            </div>
+        `;
+
+        messagesContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+        return { message: messageDiv, content: messageDiv.querySelector('.chat-answer'), events, text: '' };
+    }
+
+    /**
+     * Answer text as HTML, keeping its line breaks
+     */
+    formatAnswer(text) {
+        return this.escapeHtml(text).replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Answer text without its [event ID] citations, including one still arriving
+     */
+    stripCitations(text) {
+        return text
+            .replace(/[^\S\n]*\[[^[\]\n]*\](?!\()/g, '')
+            .replace(/[^\S\n]*\[[^[\]\n]*$/, '');
+    }
+
+    /**
+     * Show a checked answer: each claim with numbered links to the events it cites,
+     * and claims with unverified prices or dates marked
+     * @param {Object} reply - From addStreamingMessage
+     * @param {Object} data - { answer: [{ text, eventIds, issues }], citations }
+     */
+    showAnswer(reply, { answer = [], citations = [] }) {
+        const citationsById = new Map(citations.map((citation, index) => [citation.eventId, { ...citation, number: index + 1 }]));
+
+        reply.content.innerHTML = answer.map(claim => {
+            const [, body, trailing] = claim.text.match(/^([\s\S]*?)(\s*)$/);
+            const links = claim.eventIds
+                .filter(id => citationsById.has(id))
+                .map(id => this.createCitationLink(citationsById.get(id)))
+                .join('');
+            let html = this.formatAnswer(body) + links;
+
+            if (claim.issues.length > 0) {
+                const unverified = claim.issues.map(issue => issue.value).join(', ');
+                html = `<span class="chat-claim-flagged" title="Not found in the listed events: ${this.escapeHtml(unverified)}">${html} ⚠</span>`;
+            }
+            return html + this.formatAnswer(trailing);
+        }).join('') + this.createCitations([...citationsById.values()]);
+
+        this.addCitedEventCards(reply, citations);
+    }
+
+    /**
+     * Numbered link to a cited event's card, or its page if the card isn't shown
+     */
+    createCitationLink(citation) {
+        return `<sup><a href="${this.escapeHtml(citation.url)}" target="_blank" class="chat-citation" data-event-id="${this.escapeHtml(citation.eventId)}" title="${this.escapeHtml(citation.title)}">[${citation.number}]</a></sup>`;
+    }
+
+    /**
+     * List of the events an answer cites
+     */
+    createCitations(citations = []) {
+        if (citations.length === 0) {
+            return '';
         }
+
+        return '<div class="chat-citations">Sources: ' +
+            citations.map(citation =>
+                `<a href="${this.escapeHtml(citation.url)}" target="_blank" class="chat-citation" data-event-id="${this.escapeHtml(citation.eventId)}">[${citation.number}] ${this.escapeHtml(citation.title)}</a>`
+            ).join(', ') +
+            '</div>';
+    }
+
+    /**
+     * Add cards for cited events beyond the first few shown
+     */
+    addCitedEventCards(reply, citations) {
+        const shown = new Set([...reply.message.querySelectorAll('.chat-event-card')].map(card => card.dataset.eventId));
+        const eventsById = new Map(reply.events.map(event => [event.id, event]));
+        const missing = citations
+            .map(citation => eventsById.get(citation.eventId))
+            .filter(event => event && !shown.has(event.id));
+
+        if (missing.length === 0) {
+            return;
+        }
+
+        let list = reply.message.querySelector('.chat-events');
+        if (!list) {
+            list = document.createElement('div');
+            list.className = 'chat-events';
+            reply.message.querySelector('.message-content').appendChild(list);
+        }
+        list.insertAdjacentHTML('beforeend', missing.map(event => this.createEventCard(event)).join(''));
+    }
+
+    /**
+     * Scroll to and highlight the card a citation link points to
+     * Citations of events without a card here (shown earlier) open the event page
+     */
+    showCitedEvent(e, link) {
+        const message = link.closest('.bot-message');
+        const card = [...message.querySelectorAll('.chat-event-card')]
+            .find(eventCard => eventCard.dataset.eventId === link.dataset.eventId);
+        if (!card) return;
+
+        e.preventDefault();
+        card.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        card.classList.add('highlighted');
+        setTimeout(() => card.classList.remove('highlighted'), 1500);
+    }
+
+    scrollToBottom() {
+        const messagesContainer = document.getElementById('chatbotMessages');
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 
     addMessage(content, type, events = []) {
@@ -151,18 +397,11 @@ class ChatbotUI {
                 <div class="message-avatar">👤</div>
             `;
         } else {
-            let eventCards = '';
-            if (events && events.length > 0) {
-                eventCards = '<div class="chat-events">' +
-                    events.slice(0, 3).map(event => this.createEventCard(event)).join('') +
-                    '</div>';
-            }
-
             messageDiv.innerHTML = `
                 <div class="message-avatar">🤖</div>
                 <div class="message-content">
                     ${content}
-                    ${eventCards}
+                    ${this.createEventCards(events)}
                 </div>
             `;
         }
@@ -171,9 +410,19 @@ class ChatbotUI {
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 
+    createEventCards(events = []) {
+        if (!events || events.length === 0) {
+            return '';
+        }
+
+        return '<div class="chat-events">' +
+            events.slice(0, 3).map(event => this.createEventCard(event)).join('') +
+            '</div>';
+    }
+
     createEventCard(event) {
         return `
-            <div class="chat-event-card">
+            <div class="chat-event-card" data-event-id="${this.escapeHtml(event.id || '')}">
                 <img src="${event.image}" alt="${event.title}" class="chat-event-image">
                 <div class="chat-event-info">
                     <h4 class="chat-event-title">${this.escapeHtml(event.title)}</h4>
@@ -214,7 +463,8 @@ class ChatbotUI {
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 }
 
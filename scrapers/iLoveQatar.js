@@ -6,29 +6,35 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const fixtureMode = require('../utils/fixtureMode');
+const dateParser = require('../utils/dateParser');
+const SourceRunStats = require('../utils/sourceRunStats');
 
 class ILoveQatarScraper {
     constructor() {
         this.baseUrl = 'https://www.iloveqatar.net';
         this.listingUrl = 'https://www.iloveqatar.net/events/p';
         this.maxPages = 3; // Scrape first 3 pages
+        this.lastError = null;
     }
 
     /**
      * Main scraping method - two-step process
      */
-    async scrape() {
+    async scrape(stats = new SourceRunStats('ILoveQatar')) {
+        this.lastError = null;
+
         try {
             console.log('Scraping ILoveQatar...');
             const allEvents = [];
 
             // Step 1: Get event links from listing pages
-            const eventLinks = await this.getEventLinks();
+            const eventLinks = await this.getEventLinks(stats);
+            stats.linksFound = eventLinks.length;
             console.log(`ILoveQatar: Found ${eventLinks.length} event links`);
 
             if (eventLinks.length === 0) {
-                console.log('ILoveQatar: No event links found, returning mock data');
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'ILoveQatar', 'No event links found', stats);
             }
 
             // Step 2: Scrape each individual event page
@@ -37,33 +43,35 @@ class ILoveQatarScraper {
                     const event = await this.scrapeEventPage(link);
                     if (event) {
                         allEvents.push(event);
+                        stats.eventsParsed++;
+                    } else {
+                        stats.recordError(`Could not parse event page ${link}`);
                     }
                     // Add small delay to avoid overwhelming the server
                     await this.delay(500);
                 } catch (err) {
                     console.error(`Error scraping event ${link}:`, err.message);
+                    stats.recordError(`Event ${link}: ${err.message}`);
                 }
             }
 
             console.log(`ILoveQatar: Successfully scraped ${allEvents.length} events`);
 
-            // Return mock data if no events were scraped
             if (allEvents.length === 0) {
-                console.log('ILoveQatar: No events scraped, returning mock data');
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'ILoveQatar', 'No events scraped', stats);
             }
 
             return allEvents;
         } catch (error) {
             console.error('ILoveQatar scraping error:', error.message);
-            return this.getMockEvents();
+            return fixtureMode.fallback(this, 'ILoveQatar', error.message, stats);
         }
     }
 
     /**
      * Step 1: Get event links from listing pages
      */
-    async getEventLinks() {
+    async getEventLinks(stats) {
         const eventLinks = [];
 
         for (let page = 1; page <= this.maxPages; page++) {
@@ -89,6 +97,7 @@ class ILoveQatarScraper {
 
             } catch (err) {
                 console.error(`Error fetching page ${page}:`, err.message);
+                stats.recordError(`Listing page ${page}: ${err.message}`);
             }
         }
 
@@ -187,14 +196,11 @@ class ILoveQatarScraper {
 
             const fullImageUrl = image && image.startsWith('http') ? image : image ? `${this.baseUrl}${image}` : '';
 
-            // Parse date to ISO format if possible
-            const isoDate = this.parseDate(date);
-
             return {
                 id: url,
                 title,
                 description: description || 'Click to view more details about this event.',
-                date: isoDate,
+                ...dateParser.toEventFields(dateParser.parse(`${date} ${time || ''}`)),
                 time: time || '',
                 price: price || 'Check website',
                 category,
@@ -209,31 +215,6 @@ class ILoveQatarScraper {
         }
     }
 
-    /**
-     * Parse date string to ISO format
-     */
-    parseDate(dateStr) {
-        if (!dateStr || dateStr === 'No date') {
-            return new Date().toISOString();
-        }
-
-        try {
-            // Try to parse the date string
-            // Format is usually like "4 May 2025" or "4 May 2025 - 7 May 2025"
-            const dateParts = dateStr.split('-');
-            const startDate = dateParts[0].trim();
-
-            const date = new Date(startDate);
-            if (!isNaN(date.getTime())) {
-                return date.toISOString();
-            }
-        } catch (err) {
-            // If parsing fails, return current date
-        }
-
-        return new Date().toISOString();
-    }
-
     /**
      * Format category name
      */
@@ -252,7 +233,7 @@ class ILoveQatarScraper {
     }
 
     /**
-     * Get mock events for testing/fallback
+     * Get sample events for fixture mode
      */
     getMockEvents() {
         const today = new Date();
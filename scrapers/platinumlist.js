@@ -5,17 +5,23 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const fixtureMode = require('../utils/fixtureMode');
+const dateParser = require('../utils/dateParser');
+const SourceRunStats = require('../utils/sourceRunStats');
 
 class PlatinumlistScraper {
     constructor() {
         this.baseUrl = 'https://www.platinumlist.net';
         this.eventsUrl = 'https://www.platinumlist.net/qatar';
+        this.lastError = null;
     }
 
     /**
      * Scrape events from Platinumlist
      */
-    async scrape() {
+    async scrape(stats = new SourceRunStats('Platinumlist')) {
+        this.lastError = null;
+
         try {
             console.log('Scraping Platinumlist...');
             const response = await axios.get(this.eventsUrl, {
@@ -44,6 +50,7 @@ class PlatinumlistScraper {
                 if (elements.length > 0) {
                     console.log(`Platinumlist: Found ${elements.length} elements with selector: ${selector}`);
                     foundElements = true;
+                    stats.linksFound = elements.length;
 
                     elements.each((i, element) => {
                         try {
@@ -63,7 +70,7 @@ class PlatinumlistScraper {
                                     id: i,
                                     title,
                                     description: description || 'Click to view more details about this event.',
-                                    date: date ? this.parseDate(date) : new Date().toISOString(),
+                                    ...dateParser.toEventFields(dateParser.parse(date)),
                                     time: this.extractTime(date),
                                     price: price || 'Check website',
                                     category: category || 'Entertainment',
@@ -72,9 +79,11 @@ class PlatinumlistScraper {
                                     venue: venue || 'Qatar',
                                     organizer: 'Platinumlist'
                                 });
+                                stats.eventsParsed++;
                             }
                         } catch (err) {
                             console.error('Error parsing event:', err.message);
+                            stats.recordError(`Element ${i + 1}: ${err.message}`);
                         }
                     });
 
@@ -88,16 +97,14 @@ class PlatinumlistScraper {
 
             console.log(`Platinumlist: Found ${events.length} events`);
 
-            // Return mock events if no events were found
             if (events.length === 0) {
-                console.log('Platinumlist: No events found, returning mock data');
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'Platinumlist', 'No events found', stats);
             }
 
             return events;
         } catch (error) {
             console.error('Platinumlist scraping error:', error.message);
-            return this.getMockEvents();
+            return fixtureMode.fallback(this, 'Platinumlist', error.message, stats);
         }
     }
 
@@ -111,27 +118,7 @@ class PlatinumlistScraper {
     }
 
     /**
-     * Parse date string to ISO format
-     */
-    parseDate(dateStr) {
-        if (!dateStr) {
-            return new Date().toISOString();
-        }
-
-        try {
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-                return date.toISOString();
-            }
-        } catch (err) {
-            // If parsing fails, return current date
-        }
-
-        return new Date().toISOString();
-    }
-
-    /**
-     * Get mock events for testing/fallback
+     * Get sample events for fixture mode
      */
     getMockEvents() {
         const today = new Date();
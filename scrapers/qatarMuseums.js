@@ -6,18 +6,24 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const fixtureMode = require('../utils/fixtureMode');
+const dateParser = require('../utils/dateParser');
+const SourceRunStats = require('../utils/sourceRunStats');
 
 class QatarMuseumsScraper {
     constructor() {
         this.baseUrl = 'https://qm.org.qa';
         this.eventsUrl = 'https://qm.org.qa/en/calendar/?page=';
         this.maxPages = 3;
+        this.lastError = null;
     }
 
     /**
      * Scrape events from Qatar Museums
      */
-    async scrape() {
+    async scrape(stats = new SourceRunStats('Qatar Museums')) {
+        this.lastError = null;
+
         try {
             console.log('Scraping Qatar Museums...');
             const allEvents = [];
@@ -36,6 +42,7 @@ class QatarMuseumsScraper {
 
                     // Use EXACT selector from Python project
                     const eventCards = $('a.card--landscape');
+                    stats.linksFound += eventCards.length;
 
                     if (eventCards.length === 0 && page === 1) {
                         console.log('Qatar Museums: No event cards found');
@@ -47,9 +54,13 @@ class QatarMuseumsScraper {
                             const event = this.extractEventFromCard($, card);
                             if (event) {
                                 allEvents.push(event);
+                                stats.eventsParsed++;
+                            } else {
+                                stats.recordError(`Could not extract card ${i + 1} on page ${page}`);
                             }
                         } catch (err) {
                             console.error('Error extracting event:', err.message);
+                            stats.recordError(`Card ${i + 1} on page ${page}: ${err.message}`);
                         }
                     });
 
@@ -60,20 +71,20 @@ class QatarMuseumsScraper {
 
                 } catch (err) {
                     console.error(`Error scraping page ${page}:`, err.message);
+                    stats.recordError(`Page ${page}: ${err.message}`);
                 }
             }
 
             console.log(`Qatar Museums: Found ${allEvents.length} events`);
 
             if (allEvents.length === 0) {
-                console.log('Qatar Museums: No events found, returning mock data');
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'Qatar Museums', 'No events found', stats);
             }
 
             return allEvents;
         } catch (error) {
             console.error('Qatar Museums scraping error:', error.message);
-            return this.getMockEvents();
+            return fixtureMode.fallback(this, 'Qatar Museums', error.message, stats);
         }
     }
 
@@ -111,14 +122,11 @@ class QatarMuseumsScraper {
                 image = `${this.baseUrl}${image}`;
             }
 
-            // Parse date to ISO format
-            const isoDate = this.parseDate(dateText);
-
             return {
                 id: fullLink,
                 title,
                 description: `${category} event at Qatar Museums. ${dateText}`,
-                date: isoDate,
+                ...dateParser.toEventFields(dateParser.parse(dateText)),
                 time: '',
                 price: 'Check website',
                 category,
@@ -141,27 +149,6 @@ class QatarMuseumsScraper {
         return text.trim().replace(/\s+/g, ' ');
     }
 
-    /**
-     * Parse date string to ISO format
-     */
-    parseDate(dateStr) {
-        if (!dateStr) {
-            return new Date().toISOString();
-        }
-
-        try {
-            // Try to parse common date formats
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-                return date.toISOString();
-            }
-        } catch (err) {
-            // If parsing fails, return current date
-        }
-
-        return new Date().toISOString();
-    }
-
     /**
      * Delay helper
      */
@@ -170,7 +157,7 @@ class QatarMuseumsScraper {
     }
 
     /**
-     * Get mock events for testing/fallback
+     * Get sample events for fixture mode
      */
     getMockEvents() {
         const today = new Date();
@@ -0,0 +1,90 @@
+/**
+ * Scraper Registry
+ * Loads event sources from config/sources.js and exposes them to the server
+ */
+
+const path = require('path');
+const cron = require('node-cron');
+const sourcesConfig = require('../config/sources');
+
+// Default time a single source may take before its run is abandoned
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+class ScraperRegistry {
+    constructor() {
+        this.sources = new Map();
+    }
+
+    /**
+     * Register a source
+     * The scraper's scrape(stats) resolves to an array of raw events and fills in
+     * the SourceRunStats counters. On failure it resolves to an empty array and
+     * may set lastError to explain why.
+     * @param {Object} definition - { name, schedule, enabled, timeoutMs, scraper }
+     */
+    register(definition) {
+        const { name, schedule, enabled = true, timeoutMs, scraper } = definition;
+
+        if (!name) {
+            throw new Error('Scraper source must declare a name');
+        }
+
+        if (this.sources.has(name)) {
+            throw new Error(`Scraper source "${name}" is already registered`);
+        }
+
+        if (!scraper || typeof scraper.scrape !== 'function') {
+            throw new Error(`Scraper source "${name}" must provide a scrape() method`);
+        }
+
+        if (schedule && !cron.validate(schedule)) {
+            throw new Error(`Scraper source "${name}" has an invalid schedule: ${schedule}`);
+        }
+
+        this.sources.set(name, {
+            name,
+            schedule: schedule || null,
+            enabled: Boolean(enabled),
+            timeoutMs: timeoutMs || DEFAULT_TIMEOUT_MS,
+            scrape: (stats) => scraper.scrape(stats),
+            getLastError: () => scraper.lastError || null
+        });
+    }
+
+    /**
+     * Register all sources from a config array
+     */
+    loadFromConfig(config) {
+        for (const entry of config) {
+            const scraper = require(path.join(__dirname, entry.module));
+            this.register({ ...entry, scraper });
+        }
+    }
+
+    /**
+     * Get a source by name
+     */
+    get(name) {
+        return this.sources.get(name) || null;
+    }
+
+    /**
+     * Get all registered sources
+     */
+    getAll() {
+        return Array.from(this.sources.values());
+    }
+
+    /**
+     * Get sources that are enabled
+     */
+    getEnabled() {
+        return this.getAll().filter(source => source.enabled);
+    }
+}
+
+const registry = new ScraperRegistry();
+registry.loadFromConfig(sourcesConfig);
+
+// Export singleton instance
+module.exports = registry;
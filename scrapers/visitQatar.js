@@ -6,18 +6,24 @@
 
 const axios = require('axios');
 const cheerio = require('cheerio');
+const fixtureMode = require('../utils/fixtureMode');
+const dateParser = require('../utils/dateParser');
+const SourceRunStats = require('../utils/sourceRunStats');
 
 class VisitQatarScraper {
     constructor() {
         this.baseUrl = 'https://visitqatar.com';
         this.eventsUrl = 'https://visitqatar.com/intl-en/events-calendar/all-events';
+        this.lastError = null;
     }
 
     /**
      * Scrape events from Visit Qatar
      * Uses JSON extraction from HTML attribute (brilliant approach from Python project!)
      */
-    async scrape() {
+    async scrape(stats = new SourceRunStats('Visit Qatar')) {
+        this.lastError = null;
+
         try {
             console.log('Scraping Visit Qatar...');
             const response = await axios.get(this.eventsUrl, {
@@ -32,15 +38,13 @@ class VisitQatarScraper {
             // Find the vq-event-listing tag (Vue.js component)
             const eventListingTag = $('vq-event-listing');
             if (!eventListingTag.length) {
-                console.log('Visit Qatar: Could not find vq-event-listing tag');
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'Visit Qatar', 'Could not find vq-event-listing tag', stats);
             }
 
             // Extract the :events attribute which contains JSON data
             let rawEventsData = eventListingTag.attr(':events');
             if (!rawEventsData) {
-                console.log('Visit Qatar: No :events attribute found');
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'Visit Qatar', 'No :events attribute found', stats);
             }
 
             // Clean HTML entities and parse JSON
@@ -51,31 +55,37 @@ class VisitQatarScraper {
                 const events = JSON.parse(cleanedData);
 
                 if (!Array.isArray(events) || events.length === 0) {
-                    console.log('Visit Qatar: No events in parsed data');
-                    return this.getMockEvents();
+                    return fixtureMode.fallback(this, 'Visit Qatar', 'No events in parsed data', stats);
                 }
 
+                stats.linksFound = events.length;
+
                 // Transform to our format
                 const transformedEvents = events
                     .map(event => this.transformEvent(event))
                     .filter(event => event !== null);
 
+                stats.eventsParsed = transformedEvents.length;
+                if (transformedEvents.length < events.length) {
+                    stats.recordError(`${events.length - transformedEvents.length} events could not be transformed`);
+                }
+
                 console.log(`Visit Qatar: Successfully scraped ${transformedEvents.length} events`);
 
                 if (transformedEvents.length === 0) {
-                    return this.getMockEvents();
+                    return fixtureMode.fallback(this, 'Visit Qatar', 'No events could be transformed', stats);
                 }
 
                 return transformedEvents;
 
             } catch (parseError) {
                 console.error('Visit Qatar: Error parsing JSON:', parseError.message);
-                return this.getMockEvents();
+                return fixtureMode.fallback(this, 'Visit Qatar', `Error parsing JSON: ${parseError.message}`, stats);
             }
 
         } catch (error) {
             console.error('Visit Qatar scraping error:', error.message);
-            return this.getMockEvents();
+            return fixtureMode.fallback(this, 'Visit Qatar', error.message, stats);
         }
     }
 
@@ -124,20 +134,19 @@ class VisitQatarScraper {
 
             // Build date string - handle ranges
             let dateDisplay = '';
-            let isoDate = new Date().toISOString();
+            let dateText = '';
 
             if (startDate.day && startDate.monthAndYear) {
                 const startDateStr = `${startDate.day} ${startDate.monthAndYear}`;
                 dateDisplay = startDateStr;
-
-                // Try to parse the start date properly
-                isoDate = this.parseDate(startDateStr);
+                dateText = startDateStr;
 
                 // Check if there's an end date and it's different
                 if (endDate.day && endDate.monthAndYear) {
                     const endDateStr = `${endDate.day} ${endDate.monthAndYear}`;
                     // Only show range if dates are different
                     if (startDateStr !== endDateStr) {
+                        dateText = `${startDateStr} - ${endDateStr}`;
                         // If same month, just show day range
                         if (startDate.monthAndYear === endDate.monthAndYear) {
                             dateDisplay = `${startDate.day} - ${endDate.day} ${startDate.monthAndYear}`;
@@ -236,8 +245,7 @@ class VisitQatarScraper {
                 id: rawEvent.id || link,
                 title: rawEvent.title || 'No Title',
                 description: description || 'Click to view more details about this event.',
-                date: isoDate,
-                endDate: endDate.day && endDate.monthAndYear ? this.parseDate(`${endDate.day} ${endDate.monthAndYear}`) : null,
+                ...dateParser.toEventFields(dateParser.parse(dateText && `${dateText} ${timeStr}`)),
                 time: timeStr,
                 price: price,
                 category: categoryStr || 'Events',
@@ -266,47 +274,6 @@ class VisitQatarScraper {
         }
     }
 
-    /**
-     * Parse date string to ISO format
-     * Handles formats like "6 December 2025" or "6th December"
-     */
-    parseDate(dateStr) {
-        if (!dateStr || dateStr.includes('?')) {
-            return new Date().toISOString();
-        }
-
-        try {
-            // Clean the date string - remove ordinal suffixes (st, nd, rd, th)
-            const cleanedDate = dateStr.replace(/(\d+)(st|nd|rd|th)/g, '$1');
-
-            // Try to parse directly
-            let date = new Date(cleanedDate);
-
-            // If no year is specified, Date() might default to 2001
-            // Check if the year is way in the past and add current/next year
-            if (!isNaN(date.getTime())) {
-                const currentYear = new Date().getFullYear();
-                if (date.getFullYear() < currentYear - 1) {
-                    // Extract day and month, add current year
-                    const parts = cleanedDate.split(' ');
-                    if (parts.length >= 2) {
-                        date = new Date(`${parts[0]} ${parts[1]} ${currentYear}`);
-
-                        // If the date is in the past, try next year
-                        if (date < new Date()) {
-                            date = new Date(`${parts[0]} ${parts[1]} ${currentYear + 1}`);
-                        }
-                    }
-                }
-                return date.toISOString();
-            }
-        } catch (err) {
-            console.error('Date parsing error:', err.message);
-        }
-
-        return new Date().toISOString();
-    }
-
     /**
      * Fetch Instagram profile picture from Instagram URL
      * Attempts to scrape the profile picture from the Instagram page
@@ -349,7 +316,7 @@ class VisitQatarScraper {
     }
 
     /**
-     * Get mock events for testing/fallback
+     * Get sample events for fixture mode
      */
     getMockEvents() {
         const today = new Date();
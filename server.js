@@ -13,16 +13,34 @@ const cron = require('node-cron');
 
 // Import database
 const database = require('./config/database');
+const mapConfig = require('./config/map');
 
-// Import scrapers
-const iLoveQatarScraper = require('./scrapers/iLoveQatar');
-const qatarMuseumsScraper = require('./scrapers/qatarMuseums');
-const visitQatarScraper = require('./scrapers/visitQatar');
+// Import scraper registry
+const scraperRegistry = require('./scrapers/registry');
+
+// Import language model providers
+const { createProvider } = require('./providers');
 
 // Import event aggregator and AI classifier
 const eventAggregator = require('./utils/eventAggregator');
 const categoryClassifier = require('./utils/categoryClassifier');
+const scrapeRunRecorder = require('./utils/scrapeRunRecorder');
+const clusterOverrides = require('./utils/clusterOverrides');
+const venueMatcher = require('./utils/venueMatcher');
+const SourceRunStats = require('./utils/sourceRunStats');
+const dateParser = require('./utils/dateParser');
+const priceParser = require('./utils/priceParser');
+const geo = require('./utils/geo');
+const textSearch = require('./utils/textSearch');
+const eventPager = require('./utils/eventPager');
+const { assertStringQuery, parseLimit } = require('./utils/queryParams');
+const icalendar = require('./utils/icalendar');
+const feedBuilder = require('./utils/feedBuilder');
+const eventExport = require('./utils/eventExport');
+const eventPage = require('./utils/eventPage');
 const Chatbot = require('./utils/chatbot');
+const chatSessions = require('./utils/chatSessions');
+const chatConfig = require('./config/chat');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -32,104 +50,855 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// Map libraries, served from the installed packages rather than a CDN
+app.use('/vendor/leaflet', express.static(path.join(__dirname, 'node_modules/leaflet/dist')));
+app.use('/vendor/leaflet.markercluster', express.static(path.join(__dirname, 'node_modules/leaflet.markercluster/dist')));
+
 // Track scraping status
-let isScrapingInProgress = false;
 let lastScrapingTime = null;
-
-// Initialize chatbot
-const chatbot = new Chatbot(process.env.GEMINI_API_KEY);
 let scrapingError = null;
 
+// Per-source scraping status, keyed by source name
+const runningSources = new Set();
+const sourceStatus = new Map();
+
+// Initialize chatbot; a misconfigured provider leaves it unconfigured rather than stopping the server
+let chatProvider = null;
+try {
+    chatProvider = createProvider();
+} catch (error) {
+    console.error('Chatbot: Failed to initialize language model provider:', error.message);
+}
+const chatbot = new Chatbot(chatProvider);
+
 /**
- * Scrape all sources and aggregate events
+ * Check whether any source is currently being scraped
  */
-async function scrapeAllSources() {
-    if (isScrapingInProgress) {
-        console.log('Scraping already in progress, skipping...');
+function isScrapingInProgress() {
+    return runningSources.size > 0;
+}
+
+/**
+ * Require the ADMIN_TOKEN bearer token on admin routes
+ * Admin routes are disabled when no token is configured
+ */
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.ADMIN_TOKEN;
+
+    if (!adminToken) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin API is disabled (ADMIN_TOKEN not set)'
+        });
+    }
+
+    if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+        return res.status(401).json({
+            success: false,
+            error: 'Unauthorized'
+        });
+    }
+
+    next();
+}
+
+/**
+ * Validate the eventIds of a merge or never-duplicate override
+ * @returns {string|null} error message, or null if valid
+ */
+async function validateOverridePair(eventIds) {
+    if (!Array.isArray(eventIds) || eventIds.length !== 2 ||
+        !eventIds.every(id => typeof id === 'string' && id) || eventIds[0] === eventIds[1]) {
+        return 'eventIds must be two different event IDs';
+    }
+
+    const events = await eventAggregator.getEventsByIds(eventIds);
+    const missing = eventIds.filter(id => !events.some(event => event.id === id));
+    return missing.length > 0 ? `Unknown event IDs: ${missing.join(', ')}` : null;
+}
+
+/**
+ * Reject if a promise does not settle within the given time
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Scrape, classify and commit a single source
+ * A failed run leaves the source's previously stored events untouched
+ * @param {Object} source - Registered source
+ * @param {Object} run - Run handle from scrapeRunRecorder.startRun
+ */
+async function scrapeSource(source, run) {
+    if (runningSources.has(source.name)) {
+        console.log(`${source.name}: Scraping already in progress, skipping...`);
         return;
     }
 
+    runningSources.add(source.name);
+
+    const status = {
+        ...(sourceStatus.get(source.name) || {}),
+        lastRunAt: new Date(),
+        isRunning: true
+    };
+    sourceStatus.set(source.name, status);
+
+    const stats = new SourceRunStats(source.name);
+
+    // The scraper may keep running after a timeout; hold the lock until it settles
+    const scrapePromise = source.scrape(stats);
+    scrapePromise
+        .catch(() => {})
+        .finally(() => {
+            runningSources.delete(source.name);
+            status.isRunning = false;
+        });
+
+    try {
+        console.log(`${source.name}: Starting scrape...`);
+
+        const events = await withTimeout(
+            scrapePromise,
+            source.timeoutMs,
+            `Scrape timed out after ${source.timeoutMs}ms`
+        );
+
+        if (!Array.isArray(events) || events.length === 0) {
+            throw new Error(source.getLastError() || 'Scraper returned no events');
+        }
+
+        const classifiedEvents = await categoryClassifier.classifyBatch(events, stats);
+        stats.changes = await eventAggregator.syncSourceEvents(classifiedEvents, source.name);
+        stats.eventsSaved = classifiedEvents.length;
+        await scrapeRunRecorder.recordSource(run, stats, 'success');
+
+        status.lastSuccessAt = new Date();
+        status.lastError = null;
+        status.eventCount = classifiedEvents.length;
+        status.usingFixtures = classifiedEvents.some(event => event.isFixture);
+        lastScrapingTime = status.lastSuccessAt;
+        console.log(`${source.name}: Committed ${classifiedEvents.length} events`);
+    } catch (error) {
+        status.lastError = error.message;
+        console.error(`${source.name}: Scrape failed, keeping last good snapshot:`, error.message);
+
+        if (!stats.errorMessages.includes(error.message)) {
+            stats.recordError(error.message);
+        }
+        await scrapeRunRecorder.recordSource(run, stats, 'failed');
+        throw error;
+    }
+}
+
+/**
+ * Scrape all enabled sources
+ * Each source commits independently, so one failure does not affect the others
+ * @param {string} trigger - 'startup' | 'scheduled' | 'manual'
+ */
+async function scrapeAllSources(trigger = 'manual') {
+    const sources = scraperRegistry.getEnabled()
+        .filter(source => !runningSources.has(source.name));
+    if (sources.length === 0) {
+        // Nothing was scraped, so there is no run to record
+        console.log('Scraping skipped: every enabled source is already running or none are enabled');
+        return;
+    }
+    console.log(`Starting event scraping for ${sources.length} sources...`);
+
+    const run = await scrapeRunRecorder.startRun(trigger);
+    const results = await Promise.allSettled(
+        sources.map(source => scrapeSource(source, run))
+    );
+    await scrapeRunRecorder.finishRun(run);
+
+    const failed = sources.filter((source, i) => results[i].status === 'rejected');
+    scrapingError = failed.length > 0
+        ? `Failed sources: ${failed.map(source => source.name).join(', ')}`
+        : null;
+
+    console.log('Scraping completed');
+    console.log('Stats:', await eventAggregator.getStats());
+
+    await indexEventsForChatbot();
+}
+
+/**
+ * Index the current event set for the chatbot
+ */
+async function indexEventsForChatbot() {
+    try {
+        const allEvents = await eventAggregator.getAllEvents();
+        await chatbot.indexEvents(allEvents);
+    } catch (error) {
+        console.error('Error indexing events for chatbot:', error.message);
+    }
+}
+
+// API Routes
+
+/**
+ * Parse the newSince query value into a date
+ * Accepts a number of days (e.g. 7) or an ISO date
+ */
+function parseNewSince(value) {
+    if (!value) return undefined;
+
+    if (/^\d+$/.test(value)) {
+        return new Date(Date.now() - parseInt(value, 10) * 24 * 60 * 60 * 1000);
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid newSince: ${value}. Expected a number of days or an ISO date`);
+    }
+    return date;
+}
+
+// Longest custom from/to window, which bounds recurring event expansion
+const MAX_CUSTOM_RANGE_DAYS = 366;
+
+/**
+ * Parse the from/to query values into a date window
+ * Plain dates (YYYY-MM-DD) are Qatar calendar days; `to` covers its whole day.
+ * `from` defaults to now and `to` to 30 days after `from`.
+ * @returns {Object|undefined} { from, to }, or undefined if neither is given
+ */
+function parseDateWindow(fromValue, toValue) {
+    if (!fromValue && !toValue) return undefined;
+
+    const parseBound = (name, value) => {
+        const { start } = dateParser.parse(String(value).trim());
+        if (!start || !/^\d{4}-\d{2}-\d{2}/.test(String(value).trim())) {
+            throw new Error(`Invalid ${name}: ${value}. Expected an ISO date`);
+        }
+        return start;
+    };
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const from = fromValue ? parseBound('from', fromValue) : new Date();
+    let to = new Date(from.getTime() + 30 * dayMs);
+    if (toValue) {
+        to = parseBound('to', toValue);
+        if (String(toValue).trim().length === 10) {
+            to = new Date(to.getTime() + dayMs - 1);
+        }
+    }
+
+    if (to < from) {
+        throw new Error('Invalid range: to is before from');
+    }
+    if (to - from > MAX_CUSTOM_RANGE_DAYS * dayMs) {
+        throw new Error(`Invalid range: from/to may span at most ${MAX_CUSTOM_RANGE_DAYS} days`);
+    }
+
+    return { from, to };
+}
+
+/**
+ * Parse the maxPrice and free query values
+ * @returns {Object} { maxPrice, free } with undefined for values not given
+ */
+function parsePriceFilters(maxPriceValue, freeValue) {
+    let maxPrice;
+    if (maxPriceValue !== undefined && maxPriceValue !== '') {
+        maxPrice = Number(maxPriceValue);
+        if (!Number.isFinite(maxPrice) || maxPrice < 0) {
+            throw new Error(`Invalid maxPrice: ${maxPriceValue}. Expected a non-negative number`);
+        }
+    }
+
+    let free;
+    if (freeValue !== undefined && freeValue !== '') {
+        if (!['true', 'false'].includes(freeValue)) {
+            throw new Error(`Invalid free: ${freeValue}. Expected true or false`);
+        }
+        free = freeValue === 'true';
+    }
+
+    return { maxPrice, free };
+}
+
+// Default and largest radius for lat/lng searches, in km
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 100;
+
+/**
+ * Parse the lat, lng and radius query values
+ * @returns {Object|undefined} { point, radiusKm }, or undefined if no location is given
+ */
+function parseNearFilter(latValue, lngValue, radiusValue) {
+    if (latValue === undefined && lngValue === undefined) {
+        if (radiusValue !== undefined) {
+            throw new Error('radius requires lat and lng');
+        }
+        return undefined;
+    }
+
+    const lat = Number(latValue);
+    const lng = Number(lngValue);
+    if (latValue === undefined || lngValue === undefined ||
+        !Number.isFinite(lat) || !Number.isFinite(lng) ||
+        Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+        throw new Error('Invalid location: lat and lng must both be valid coordinates');
+    }
+
+    const radiusKm = radiusValue === undefined ? DEFAULT_RADIUS_KM : Number(radiusValue);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        throw new Error(`Invalid radius: ${radiusValue}. Expected km between 0 and ${MAX_RADIUS_KM}`);
+    }
+
+    return { point: geo.toPoint(lat, lng), radiusKm };
+}
+
+// Default and largest page sizes
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const DEFAULT_EVENTS_LIMIT = 50;
+const MAX_EVENTS_LIMIT = 200;
+
+/**
+ * Parse the page and limit query values
+ * @returns {Object} { page, limit }
+ */
+function parsePagination(pageValue, limitValue) {
+    const page = pageValue === undefined ? 1 : Number(pageValue);
+    if (!Number.isInteger(page) || page < 1) {
+        throw new Error(`Invalid page: ${pageValue}. Expected a positive integer`);
+    }
+
+    return { page, limit: parseLimit(limitValue, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT) };
+}
+
+/**
+ * Parse the sort, cursor, limit and fields query values of /api/events
+ * Sorting defaults to distance for location searches, relevance for text
+ * searches and date otherwise
+ * @returns {Object} { sort, cursor (decoded key or null), limit, fields (array or null) }
+ */
+function parseEventsPage(query, { hasLocation, hasSearch }) {
+    const sort = query.sort || (hasLocation ? 'distance' : hasSearch ? 'relevance' : 'date');
+    if (!eventPager.SORTS.includes(sort)) {
+        throw new Error(`Invalid sort: ${sort}. Expected ${eventPager.SORTS.join(', ')}`);
+    }
+    if (sort === 'distance' && !hasLocation) {
+        throw new Error('sort=distance requires lat and lng');
+    }
+    if (sort === 'relevance' && !hasSearch) {
+        throw new Error('sort=relevance requires q');
+    }
+
+    const fields = query.fields
+        ? query.fields.split(',').map(field => field.trim()).filter(Boolean)
+        : null;
+
+    return {
+        sort,
+        cursor: query.cursor ? eventPager.decodeCursor(query.cursor, sort) : null,
+        limit: parseLimit(query.limit, DEFAULT_EVENTS_LIMIT, MAX_EVENTS_LIMIT),
+        fields
+    };
+}
+
+/**
+ * Events in a custom date window or named range, or all events
+ * @param {string} range - 'today' | 'week' | 'month' | 'all'
+ * @param {Object|undefined} dateWindow - { from, to }, overrides range
+ * @param {Object} options - eventAggregator filter options
+ */
+async function getEventsInRange(range, dateWindow, options) {
+    if (dateWindow) {
+        return eventAggregator.filterByDateRange(dateWindow.from, dateWindow.to, options);
+    } else if (range === 'today') {
+        return eventAggregator.getTodayEvents(options);
+    } else if (range === 'week') {
+        return eventAggregator.getWeekEvents(options);
+    } else if (range === 'month') {
+        return eventAggregator.getMonthEvents(options);
+    }
+    return eventAggregator.getAllEvents(options);
+}
+
+/**
+ * GET /api/events
+ * Get a page of events with optional filtering and sorting
+ * Query params:
+ *   - range: 'today' | 'week' | 'month' | 'all' (default: 'all')
+ *   - from, to: custom ISO date window, overrides range
+ *   - maxPrice: only events with a known lowest price at or below this amount in QAR
+ *   - free: 'true' for free events only, 'false' to leave them out
+ *   - lat, lng, radius: only events within radius km (default 5) of a point
+ *   - category: filter by category
+ *   - source: only events from this source
+ *   - q: only events matching any of these words
+ *   - status: 'active' | 'cancelled' | 'removed' | 'all', or a comma list (default: 'active,cancelled')
+ *   - newSince: only events first seen within N days, or since an ISO date
+ *   - sort: 'date' | 'price' | 'newest' | 'relevance' | 'distance'
+ *   - limit: events per page (default: 50, max: 200)
+ *   - cursor: nextCursor from the previous page
+ *   - fields: comma list of fields to return (id is always included)
+ */
+app.get('/api/events', async (req, res) => {
+    const { range, category, q } = req.query;
+    let options;
+    let dateWindow;
+    let nearFilter;
+    let page;
+    try {
+        assertStringQuery(req.query);
+        options = {
+            status: eventAggregator.parseStatus(req.query.status),
+            firstSeenAfter: parseNewSince(req.query.newSince),
+            category: category && category !== 'all' ? category : undefined,
+            source: req.query.source,
+            search: q,
+            ...parsePriceFilters(req.query.maxPrice, req.query.free)
+        };
+        dateWindow = parseDateWindow(req.query.from, req.query.to);
+        nearFilter = parseNearFilter(req.query.lat, req.query.lng, req.query.radius);
+        page = parseEventsPage(req.query, {
+            hasLocation: Boolean(nearFilter),
+            hasSearch: textSearch.parseQuery(q, { prefix: true }).length > 0
+        });
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    try {
+        let result;
+
+        if (!nearFilter && ['date', 'newest', 'price'].includes(page.sort)) {
+            // Listings sorted by date, first seen or price are sorted and paged by the database
+            const window = dateWindow || eventAggregator.getRangeWindow(range);
+            result = await eventAggregator.getEventsPage(options, page, window);
+        } else {
+            let events = await getEventsInRange(range, dateWindow, options);
+
+            // Filter by distance if specified
+            if (nearFilter) {
+                const distances = await eventAggregator.getDistancesNear(
+                    nearFilter.point, nearFilter.radiusKm, options
+                );
+                events = events
+                    .filter(event => distances.has(event.id))
+                    .map(event => ({ ...event, distance: Math.round(distances.get(event.id) * 100) / 100 }));
+            }
+
+            if (page.sort === 'relevance') {
+                const terms = textSearch.parseQuery(q, { prefix: true });
+                events = events.map(event => ({
+                    ...event,
+                    score: Math.round(textSearch.score(event, terms) * 100) / 100
+                }));
+            }
+
+            result = eventPager.paginate(events, page);
+        }
+
+        res.json({
+            success: true,
+            count: result.events.length,
+            total: result.total,
+            nextCursor: result.nextCursor,
+            events: result.events.map(event => eventPager.project(event, page.fields)),
+            lastUpdate: lastScrapingTime
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Calendar feeds cover recent and upcoming events
+const CALENDAR_PAST_DAYS = 30;
+const CALENDAR_FUTURE_DAYS = 366;
+
+/**
+ * File name for a calendar download, e.g. "doha-food-festival.ics"
+ */
+function calendarFileName(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'event'}.ics`;
+}
+
+/**
+ * Send an iCalendar document
+ */
+function sendCalendar(res, calendar, fileName, disposition) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `${disposition}; filename="${fileName}"`
+    });
+    res.send(calendar);
+}
+
+/**
+ * GET /api/events.ics
+ * Subscribable iCalendar feed of recent and upcoming events
+ * Query params:
+ *   - category: only this category
+ *   - source: only events from this source
+ *   - venue: only events at this venue (slug, see /api/venues)
+ *   - q: only events matching any of these words
+ */
+app.get('/api/events.ics', async (req, res) => {
+    const { category, source, venue, q } = req.query;
+
+    try {
+        assertStringQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    const venueRecord = venue ? venueMatcher.get(venue) : null;
+    if (venue && !venueRecord) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown venue: ${venue}`
+        });
+    }
+    if (source && !scraperRegistry.get(source)) {
+        return res.status(400).json({
+            success: false,
+            error: `Unknown source: ${source}`
+        });
+    }
+
+    try {
+        const now = Date.now();
+        const events = await eventAggregator.filterByDateRange(
+            new Date(now - CALENDAR_PAST_DAYS * 24 * 60 * 60 * 1000),
+            new Date(now + CALENDAR_FUTURE_DAYS * 24 * 60 * 60 * 1000),
+            {
+                category: category && category !== 'all' ? category : undefined,
+                source,
+                venueId: venueRecord ? venueRecord.slug : undefined,
+                search: q
+            }
+        );
+
+        const name = ['Qatar Events', category && category !== 'all' ? category : null,
+            venueRecord ? venueRecord.name : null, source, q ? `"${q}"` : null]
+            .filter(Boolean)
+            .join(' - ');
+
+        sendCalendar(res, icalendar.buildCalendar(events, { name }), calendarFileName(name), 'inline');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/events/:id.ics
+ * Download a single event as an iCalendar file
+ */
+app.get('/api/events/:id.ics', async (req, res) => {
+    try {
+        const event = await eventAggregator.getEvent(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                error: 'Event not found'
+            });
+        }
+
+        sendCalendar(res, icalendar.buildCalendar([event], { name: event.title }),
+            calendarFileName(event.title), 'attachment');
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * Write to a response, waiting for it to drain when its buffer is full
+ */
+async function writeChunk(res, chunk) {
+    if (!res.write(chunk)) {
+        await new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+        });
+    }
+}
+
+/**
+ * GET /api/export
+ * Stream all matching events as a file, sorted by date
+ * Query params:
+ *   - format: 'csv' | 'excel' (CSV with a UTF-8 BOM) | 'ndjson' (default: 'csv')
+ *   - columns: comma list of columns, or 'all' (see utils/eventExport.js)
+ *   - range, from, to, category, source, q, status, newSince, maxPrice, free: as for /api/events
+ *   - venue: only events at this venue (slug, see /api/venues)
+ */
+app.get('/api/export', async (req, res) => {
+    const { range, category, venue, q } = req.query;
+    const formatName = req.query.format || 'csv';
+    const format = eventExport.FORMATS[formatName];
+    let options;
+    let window;
+    let priceFilters;
+    let columns;
+    try {
+        assertStringQuery(req.query);
+        if (!format) {
+            throw new Error(`Invalid format: ${formatName}. Expected ${Object.keys(eventExport.FORMATS).join(', ')}`);
+        }
+
+        const venueRecord = venue ? venueMatcher.get(venue) : null;
+        if (venue && !venueRecord) {
+            throw new Error(`Unknown venue: ${venue}`);
+        }
+
+        options = {
+            status: eventAggregator.parseStatus(req.query.status),
+            firstSeenAfter: parseNewSince(req.query.newSince),
+            category: category && category !== 'all' ? category : undefined,
+            source: req.query.source,
+            venueId: venueRecord ? venueRecord.slug : undefined,
+            search: q
+        };
+        window = parseDateWindow(req.query.from, req.query.to) || eventAggregator.getRangeWindow(range);
+        priceFilters = parsePriceFilters(req.query.maxPrice, req.query.free);
+        columns = eventExport.parseColumns(req.query.columns);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    const matchesPrice = event => {
+        if (priceFilters.free !== undefined && event.isFree !== priceFilters.free) {
+            return false;
+        }
+        if (priceFilters.maxPrice !== undefined) {
+            const minPrice = priceParser.minPriceInQar(event);
+            return minPrice !== null && minPrice <= priceFilters.maxPrice;
+        }
+        return true;
+    };
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const events = eventAggregator.streamEvents(options, window);
+    try {
+        // Read the first batch before committing to a 200, so early failures are still JSON errors
+        let next = await events.next();
+
+        res.set({
+            'Content-Type': format.contentType,
+            'Content-Disposition': `attachment; filename="qatar-events-${stamp}.${format.extension}"`,
+            'Cache-Control': 'no-store'
+        });
+        if (format.bom) {
+            res.write('\uFEFF');
+        }
+        if (formatName !== 'ndjson') {
+            res.write(eventExport.csvHeader(columns));
+        }
+
+        while (!next.done && !closed) {
+            const rows = next.value
+                .filter(matchesPrice)
+                .map(event => ({ ...event, dateDisplay: eventAggregator.formatDateDisplay(event) }))
+                .map(event => (formatName === 'ndjson'
+                    ? eventExport.ndjsonRow(event, columns)
+                    : eventExport.csvRow(event, columns, { excel: format.excel })));
+            if (rows.length > 0) {
+                await writeChunk(res, rows.join(''));
+            }
+            next = await events.next();
+        }
+        res.end();
+    } catch (error) {
+        console.error('Export error:', error.message);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+        // Cut the download short so a truncated file isn't mistaken for a complete one
+        res.destroy(error);
+    } finally {
+        // Close the database cursor if the client went away mid-export
+        await events.return();
+    }
+});
+
+/**
+ * GET /api/search
+ * Full-text search over event titles, venues and descriptions, best matches first
+ * Query params:
+ *   - q: search text (required)
+ *   - prefix: 'true' to match the last word as a prefix, for typeahead
+ *   - page, limit: pagination (default: page 1, 20 per page, max 100)
+ *   - status: as for /api/events
+ */
+app.get('/api/search', async (req, res) => {
+    let query;
+    let options;
+    try {
+        assertStringQuery(req.query);
+        query = (req.query.q || '').trim();
+        if (!query) {
+            throw new Error('Query is required');
+        }
+
+        options = {
+            ...parsePagination(req.query.page, req.query.limit),
+            prefix: req.query.prefix === 'true',
+            status: eventAggregator.parseStatus(req.query.status)
+        };
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    try {
+        const { total, events } = await eventAggregator.search(query, options);
+
+        res.json({
+            success: true,
+            query,
+            total,
+            page: options.page,
+            limit: options.limit,
+            totalPages: Math.ceil(total / options.limit),
+            count: events.length,
+            events
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/categories
+ * Get all available event categories
+ */
+app.get('/api/categories', async (req, res) => {
+    try {
+        const categories = await eventAggregator.getCategories();
+        res.json({
+            success: true,
+            categories: categories
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/stats
+ * Get aggregator statistics
+ */
+app.get('/api/stats', async (req, res) => {
+    try {
+        const stats = await eventAggregator.getStats();
+        res.json({
+            success: true,
+            stats: {
+                ...stats,
+                lastScrapingTime,
+                isScrapingInProgress: isScrapingInProgress(),
+                scrapingError,
+                sources: scraperRegistry.getAll().map(source => ({
+                    name: source.name,
+                    enabled: source.enabled,
+                    schedule: source.schedule,
+                    ...(sourceStatus.get(source.name) || { isRunning: false })
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/venues
+ * List known venues with their number of events
+ */
+app.get('/api/venues', async (req, res) => {
     try {
-        isScrapingInProgress = true;
-        scrapingError = null;
-        console.log('Starting event scraping...');
-
-        // Clear previous events
-        eventAggregator.clear();
-
-        // Scrape all sources in parallel
-        const [iLoveQatarEvents, qatarMuseumsEvents, visitQatarEvents] = await Promise.all([
-            iLoveQatarScraper.scrape(),
-            qatarMuseumsScraper.scrape(),
-            visitQatarScraper.scrape()
-        ]);
-
-        console.log('Applying AI category classification...');
-
-        // Apply AI category classification to improve categories
-        const [classifiedILQ, classifiedQM, classifiedVQ] = await Promise.all([
-            categoryClassifier.classifyBatch(iLoveQatarEvents),
-            categoryClassifier.classifyBatch(qatarMuseumsEvents),
-            categoryClassifier.classifyBatch(visitQatarEvents)
-        ]);
-
-        // Add events to aggregator
-        eventAggregator.addEvents(classifiedILQ, 'ILoveQatar');
-        eventAggregator.addEvents(classifiedQM, 'Qatar Museums');
-        eventAggregator.addEvents(classifiedVQ, 'Visit Qatar');
-
-        lastScrapingTime = new Date();
-        console.log('Scraping completed successfully');
-        console.log('Stats:', eventAggregator.getStats());
-
-        // Index events for chatbot
-        const allEvents = eventAggregator.getAllEvents();
-        await chatbot.indexEvents(allEvents);
+        const counts = await eventAggregator.getVenueEventCounts();
+        const venues = venueMatcher.list().map(venue => ({
+            ...venue,
+            eventCount: counts[venue.slug] || 0
+        }));
+
+        res.json({
+            success: true,
+            count: venues.length,
+            venues
+        });
     } catch (error) {
-        console.error('Error during scraping:', error);
-        scrapingError = error.message;
-    } finally {
-        isScrapingInProgress = false;
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
     }
-}
-
-// API Routes
+});
 
 /**
- * GET /api/events
- * Get events with optional filtering
- * Query params:
- *   - range: 'week' | 'month' | 'all' (default: 'all')
- *   - category: filter by category
+ * GET /api/venues/:id
+ * Get a venue and its events
  */
-app.get('/api/events', async (req, res) => {
+app.get('/api/venues/:id', async (req, res) => {
     try {
-        const { range, category } = req.query;
-        let events;
-
-        // Filter by date range
-        if (range === 'today') {
-            events = await eventAggregator.getTodayEvents();
-        } else if (range === 'week') {
-            events = await eventAggregator.getWeekEvents();
-        } else if (range === 'month') {
-            events = await eventAggregator.getMonthEvents();
-        } else {
-            events = await eventAggregator.getAllEvents();
-        }
+        const venue = venueMatcher.get(req.params.id);
 
-        // Filter by category if specified
-        if (category && category !== 'all') {
-            events = events.filter(event =>
-                event.category.toLowerCase() === category.toLowerCase()
-            );
+        if (!venue) {
+            return res.status(404).json({
+                success: false,
+                error: 'Venue not found'
+            });
         }
 
+        const events = await eventAggregator.getEventsByVenue(venue.slug);
+
         res.json({
             success: true,
+            venue,
             count: events.length,
-            events: events,
-            lastUpdate: lastScrapingTime
+            events
         });
     } catch (error) {
         res.status(500).json({
@@ -140,15 +909,49 @@ app.get('/api/events', async (req, res) => {
 });
 
 /**
- * GET /api/categories
- * Get all available event categories
+ * GET /api/config
+ * Frontend settings (map tiles and starting view)
  */
-app.get('/api/categories', async (req, res) => {
+app.get('/api/config', (req, res) => {
+    res.json({
+        success: true,
+        map: mapConfig
+    });
+});
+
+// Default and largest number of scrape runs per request
+const DEFAULT_RUNS_LIMIT = 20;
+const MAX_RUNS_LIMIT = 100;
+
+/**
+ * GET /api/scrape-runs
+ * List scrape run history, newest first
+ * Query params:
+ *   - limit: number of runs to return (default: 20, max: 100)
+ *   - source: only runs that included this source
+ */
+app.get('/api/scrape-runs', async (req, res) => {
+    let limit;
     try {
-        const categories = await eventAggregator.getCategories();
+        assertStringQuery(req.query);
+        limit = parseLimit(req.query.limit, DEFAULT_RUNS_LIMIT, MAX_RUNS_LIMIT);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    try {
+        const runs = await scrapeRunRecorder.listRuns({
+            limit,
+            source: req.query.source || null
+        });
+
         res.json({
             success: true,
-            categories: categories
+            count: runs.length,
+            runs
         });
     } catch (error) {
         res.status(500).json({
@@ -159,20 +962,23 @@ app.get('/api/categories', async (req, res) => {
 });
 
 /**
- * GET /api/stats
- * Get aggregator statistics
+ * GET /api/scrape-runs/:id
+ * Get a single scrape run with per-source details
  */
-app.get('/api/stats', async (req, res) => {
+app.get('/api/scrape-runs/:id', async (req, res) => {
     try {
-        const stats = await eventAggregator.getStats();
+        const run = await scrapeRunRecorder.getRun(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: 'Scrape run not found'
+            });
+        }
+
         res.json({
             success: true,
-            stats: {
-                ...stats,
-                lastScrapingTime,
-                isScrapingInProgress,
-                scrapingError
-            }
+            run
         });
     } catch (error) {
         res.status(500).json({
@@ -188,7 +994,10 @@ app.get('/api/stats', async (req, res) => {
  */
 app.post('/api/refresh', async (req, res) => {
     try {
-        if (isScrapingInProgress) {
+        const idle = scraperRegistry.getEnabled()
+            .filter(source => !runningSources.has(source.name));
+
+        if (idle.length === 0) {
             return res.status(429).json({
                 success: false,
                 error: 'Scraping already in progress'
@@ -196,7 +1005,7 @@ app.post('/api/refresh', async (req, res) => {
         }
 
         // Start scraping in background
-        scrapeAllSources();
+        scrapeAllSources('manual');
 
         res.json({
             success: true,
@@ -210,6 +1019,135 @@ app.post('/api/refresh', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/overrides
+ * List stored merge/split/never-duplicate overrides
+ */
+app.get('/api/admin/overrides', requireAdmin, async (req, res) => {
+    try {
+        const overrides = await clusterOverrides.list();
+
+        res.json({
+            success: true,
+            count: overrides.length,
+            overrides
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/overrides/merge
+ * POST /api/admin/overrides/never
+ * Force two events into one cluster, or keep them apart for good
+ * Body: { eventIds: [id, id], note }
+ */
+app.post('/api/admin/overrides/:type(merge|never)', requireAdmin, async (req, res) => {
+    try {
+        const { eventIds, note } = req.body;
+        const validationError = await validateOverridePair(eventIds);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: validationError
+            });
+        }
+
+        const override = await clusterOverrides.add({
+            type: req.params.type,
+            eventIds,
+            note: note || ''
+        });
+        await eventAggregator.refreshCanonicalEvents();
+
+        res.status(201).json({
+            success: true,
+            override
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/clusters/:canonicalId/split
+ * Split a canonical event back into one event per source record
+ * Body: { note }
+ */
+app.post('/api/admin/clusters/:canonicalId/split', requireAdmin, async (req, res) => {
+    try {
+        const canonical = await eventAggregator.getCanonicalEvent(req.params.canonicalId);
+
+        if (!canonical) {
+            return res.status(404).json({
+                success: false,
+                error: 'Canonical event not found'
+            });
+        }
+
+        if (canonical.members.length < 2) {
+            return res.status(400).json({
+                success: false,
+                error: 'Canonical event has a single source record'
+            });
+        }
+
+        const override = await clusterOverrides.add({
+            type: 'split',
+            eventIds: canonical.members.map(member => member.eventId),
+            canonicalId: canonical.canonicalId,
+            note: (req.body && req.body.note) || ''
+        });
+        await eventAggregator.refreshCanonicalEvents();
+
+        res.status(201).json({
+            success: true,
+            override
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/overrides/:id
+ * Remove an override and let the matcher decide again
+ */
+app.delete('/api/admin/overrides/:id', requireAdmin, async (req, res) => {
+    try {
+        const removed = await clusterOverrides.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Override not found'
+            });
+        }
+
+        await eventAggregator.refreshCanonicalEvents();
+
+        res.json({
+            success: true
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/health
  * Database and system health check
@@ -238,30 +1176,63 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
+/**
+ * All events with display dates, for the chatbot's prompts and answers
+ */
+async function getChatEvents() {
+    const allEvents = await eventAggregator.getAllEvents();
+    return allEvents.map(event => ({ ...event, dateDisplay: eventAggregator.formatDateDisplay(event) }));
+}
+
 /**
  * POST /api/chat
  * Handle chatbot queries
+ * Body: { query, sessionId }. Omit sessionId to start a conversation; an
+ * unknown or expired sessionId also starts a new one. The response carries
+ * the sessionId to send with follow-up questions, and the answer as claims
+ * with the event IDs each one cites (see utils/answerGrounding.js).
  */
 app.post('/api/chat', async (req, res) => {
     try {
-        const { query } = req.body;
+        const { query, sessionId } = req.body;
 
-        if (!query) {
+        if (!query || typeof query !== 'string' || !query.trim()) {
             return res.status(400).json({
                 success: false,
                 error: 'Query is required'
             });
         }
 
+        if (query.length > chatConfig.maxQueryLength) {
+            return res.status(400).json({
+                success: false,
+                error: `Query is too long (max ${chatConfig.maxQueryLength} characters)`
+            });
+        }
+
+        const session = await chatSessions.getOrCreate(sessionId);
+
         // Get all events for metadata
-        const allEvents = await eventAggregator.getAllEvents();
+        const allEvents = await getChatEvents();
 
         // Get response from chatbot
-        const result = await chatbot.chat(query, allEvents);
+        const result = await chatbot.chat(query.trim(), allEvents, session);
+
+        // The apology for a failed answer is not part of the conversation
+        if (!result.failed) {
+            await chatSessions.recordExchange(session, {
+                query: query.trim(),
+                response: result.response,
+                eventIds: result.events.map(event => event.id).filter(Boolean)
+            });
+        }
 
         res.json({
             success: true,
+            sessionId: session.sessionId,
             response: result.response,
+            answer: result.answer,
+            citations: result.citations,
             events: result.events
         });
     } catch (error) {
@@ -273,6 +1244,234 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+/**
+ * Write one Server-Sent Event
+ */
+async function writeServerEvent(res, event, data) {
+    await writeChunk(res, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/chat/stream
+ * Handle chatbot queries, streaming the answer as Server-Sent Events
+ * Body: as for /api/chat. Events, in order:
+ *   - events: { sessionId, searchQuery, events } the matched events
+ *   - token: { text } the next piece of the answer (repeated)
+ *   - done: { response, answer, citations } the checked answer, as for /api/chat
+ *   - error: { error } instead of the rest if generation fails
+ * Closing the connection stops generation; cancelled answers are not saved.
+ */
+app.post('/api/chat/stream', async (req, res) => {
+    const { query, sessionId } = req.body;
+
+    if (!query || typeof query !== 'string' || !query.trim()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Query is required'
+        });
+    }
+
+    if (query.length > chatConfig.maxQueryLength) {
+        return res.status(400).json({
+            success: false,
+            error: `Query is too long (max ${chatConfig.maxQueryLength} characters)`
+        });
+    }
+
+    const controller = new AbortController();
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+        controller.abort();
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies such as nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    try {
+        const session = await chatSessions.getOrCreate(sessionId);
+        const allEvents = await getChatEvents();
+        let events = [];
+
+        for await (const message of chatbot.chatStream(query.trim(), allEvents, session, { signal: controller.signal })) {
+            if (closed) {
+                break;
+            }
+
+            if (message.type === 'events') {
+                events = message.events;
+                await writeServerEvent(res, 'events', {
+                    sessionId: session.sessionId,
+                    searchQuery: message.searchQuery,
+                    events
+                });
+            } else if (message.type === 'token') {
+                await writeServerEvent(res, 'token', { text: message.text });
+            } else if (message.type === 'done') {
+                await chatSessions.recordExchange(session, {
+                    query: query.trim(),
+                    response: message.response,
+                    eventIds: events.map(event => event.id).filter(Boolean)
+                });
+                await writeServerEvent(res, 'done', {
+                    response: message.response,
+                    answer: message.answer,
+                    citations: message.citations
+                });
+            }
+        }
+    } catch (error) {
+        if (!closed) {
+            console.error('Chat stream error:', error.message);
+            await writeServerEvent(res, 'error', {
+                error: "I'm sorry, I encountered an error processing your request. Please try again."
+            });
+        }
+    }
+    res.end();
+});
+
+/**
+ * DELETE /api/chat/sessions/:id
+ * Forget a conversation
+ */
+app.delete('/api/chat/sessions/:id', async (req, res) => {
+    try {
+        const removed = await chatSessions.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Chat session not found'
+            });
+        }
+
+        res.json({
+            success: true
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Default and largest number of entries in a feed
+const DEFAULT_FEED_LIMIT = 50;
+const MAX_FEED_LIMIT = 200;
+
+const FEED_FORMATS = {
+    rss: { contentType: 'application/rss+xml', build: feedBuilder.buildRss },
+    atom: { contentType: 'application/atom+xml', build: feedBuilder.buildAtom },
+    json: { contentType: 'application/feed+json', build: feedBuilder.buildJsonFeed }
+};
+
+/**
+ * Public base URL of the site, from PUBLIC_URL or the request
+ */
+function publicBaseUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+/**
+ * GET /feeds/events.rss, /feeds/events.atom, /feeds/events.json
+ * Newly listed events, most recently first seen first
+ * Query params:
+ *   - category, source, range, from, to: as for /api/events
+ *   - limit: number of entries (default: 50, max: 200)
+ */
+app.get('/feeds/events.:format(rss|atom|json)', async (req, res) => {
+    const { range, category, source } = req.query;
+    let options;
+    let dateWindow;
+    let limit;
+    try {
+        assertStringQuery(req.query);
+        options = {
+            category: category && category !== 'all' ? category : undefined,
+            source
+        };
+        dateWindow = parseDateWindow(req.query.from, req.query.to);
+        limit = parseLimit(req.query.limit, DEFAULT_FEED_LIMIT, MAX_FEED_LIMIT);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    try {
+        const page = { sort: 'newest', cursor: null, limit };
+        const { events } = await eventAggregator.getEventsPage(
+            options, page, dateWindow || eventAggregator.getRangeWindow(range)
+        );
+
+        const baseUrl = publicBaseUrl(req);
+        const filters = [options.category, source].filter(Boolean);
+        const format = FEED_FORMATS[req.params.format];
+        const feed = format.build(
+            events.map(event => ({ ...event, dateDisplay: eventAggregator.formatDateDisplay(event) })),
+            {
+                title: ['Qatar Events: New events', ...filters].join(' - '),
+                description: 'Events newly listed across Qatar event sites',
+                homeUrl: `${baseUrl}/`,
+                feedUrl: `${baseUrl}${req.originalUrl}`
+            }
+        );
+
+        res.type(`${format.contentType}; charset=utf-8`);
+        res.send(typeof feed === 'string' ? feed : JSON.stringify(feed));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /events/:id
+ * Shareable event page with schema.org JSON-LD and link preview metadata
+ * Duplicate listings of a merged event redirect to the primary listing's page
+ */
+app.get('/events/:id', async (req, res) => {
+    try {
+        const event = await eventAggregator.getEvent(req.params.id);
+
+        if (!event) {
+            return res.status(404).type('html').send(eventPage.renderNotFoundPage());
+        }
+
+        if (!event.isPrimary && event.canonicalId) {
+            const canonical = await eventAggregator.getCanonicalEvent(event.canonicalId);
+            if (canonical && canonical.primaryEventId !== event.id) {
+                // Temporary: a later split or re-cluster can make this listing primary again
+                return res.redirect(302, `/events/${encodeURIComponent(canonical.primaryEventId)}`);
+            }
+        }
+
+        const html = eventPage.renderEventPage(
+            { ...event, dateDisplay: eventAggregator.formatDateDisplay(event) },
+            {
+                url: `${publicBaseUrl(req)}/events/${encodeURIComponent(event.id)}`,
+                venue: event.venueId ? venueMatcher.get(event.venueId) : null
+            }
+        );
+        res.type('html').send(html);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /
  * Serve the frontend
@@ -281,11 +1480,23 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Schedule automatic scraping every 6 hours
-cron.schedule('0 */6 * * *', () => {
-    console.log('Running scheduled scraping...');
-    scrapeAllSources();
-});
+// Schedule automatic scraping for each source on its own schedule
+for (const source of scraperRegistry.getEnabled()) {
+    if (!source.schedule) continue;
+
+    cron.schedule(source.schedule, async () => {
+        console.log(`${source.name}: Running scheduled scraping...`);
+        const run = await scrapeRunRecorder.startRun('scheduled');
+        try {
+            await scrapeSource(source, run);
+            await indexEventsForChatbot();
+        } catch (error) {
+            // Already logged and recorded in sourceStatus
+        } finally {
+            await scrapeRunRecorder.finishRun(run);
+        }
+    });
+}
 
 /**
  * Initialize application
@@ -296,14 +1507,30 @@ async function initializeApp() {
     // Connect to database
     await database.connect();
 
+    // Initialize clustering overrides before events are clustered
+    await clusterOverrides.initialize(database);
+
+    // Seed venues before events are matched to them
+    await venueMatcher.initialize(database);
+
     // Initialize event aggregator with database
     await eventAggregator.initialize(database);
 
     // Initialize chatbot with database
     await chatbot.initialize(database);
+    await chatSessions.initialize(database);
+
+    // Initialize scrape run history with database
+    await scrapeRunRecorder.initialize(database);
+
+    // Restore last scrape time from run history
+    const lastRun = await scrapeRunRecorder.getLastSuccessfulRun();
+    if (lastRun) {
+        lastScrapingTime = lastRun.finishedAt;
+    }
 
     // Initial scraping on server start
-    scrapeAllSources();
+    scrapeAllSources('startup');
 
     console.log('✓ Application initialized successfully');
 }
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const answerGrounding = require('../utils/answerGrounding');
+
+const now = new Date('2026-10-18T12:00:00+03:00');
+const contextEvents = [
+    { id: 'Visit Qatar-1', title: 'Desert Safari Adventure', date: '2026-10-19T16:00:00+03:00', price: 'QAR 250' },
+    // Some sources use the page URL as the event ID
+    { id: 'ILoveQatar-https://www.iloveqatar.net/events/a,b;c', title: 'Corniche Night Run', date: '2026-10-20T19:00:00+03:00', price: 'Free', isFree: true }
+];
+const ground = answer => answerGrounding.ground(answer, { contextEvents, allEvents: contextEvents, now });
+
+test('maps aliases back to event IDs', () => {
+    const grounded = ground('The safari costs QAR 250 [E1]. The night run is free [e2].');
+    assert.deepStrictEqual(grounded.answer.map(claim => claim.eventIds), [['Visit Qatar-1'], [contextEvents[1].id]]);
+    assert.deepStrictEqual(grounded.eventIds, ['Visit Qatar-1', contextEvents[1].id]);
+    assert.strictEqual(grounded.response, 'The safari costs QAR 250. The night run is free.');
+});
+
+test('reads several aliases in one citation', () => {
+    const grounded = ground('Both run this week [E1, E2].');
+    assert.deepStrictEqual(grounded.answer[0].eventIds, ['Visit Qatar-1', contextEvents[1].id]);
+});
+
+test('removes claims citing only unknown aliases', () => {
+    const grounded = ground('The safari runs on Oct 19 [E1]. A gala runs on Oct 25 [E7].');
+    assert.strictEqual(grounded.removed, 1);
+    assert.strictEqual(grounded.response, 'The safari runs on Oct 19.');
+});
+
+test('flags prices the cited event does not have', () => {
+    const grounded = ground('The safari costs QAR 300 [E1].');
+    assert.deepStrictEqual(grounded.answer[0].issues, [{ type: 'price', value: '300' }]);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const dateParser = require('../utils/dateParser');
+
+// A Sunday afternoon in Doha
+const now = new Date('2026-10-18T12:00:00+03:00');
+const parse = text => dateParser.parse(text, { now });
+
+test('reads a single date as Qatar time', () => {
+    const parsed = parse('4 May 2027 7pm');
+    assert.strictEqual(parsed.start.toISOString(), '2027-05-04T16:00:00.000Z');
+    assert.strictEqual(parsed.openStart, false);
+});
+
+test('rejects days that do not exist in their month', () => {
+    for (const text of ['31 Feb 2027', '29 Feb 2027', '31 April', '30 Jan - 31 Feb 2027', '31/06/2027', '2027-02-30']) {
+        const parsed = parse(text);
+        assert.strictEqual(parsed.start, null, text);
+        assert.strictEqual(parsed.confidence, 0, text);
+    }
+    assert.strictEqual(parse('29 Feb 2028').start.toISOString(), '2028-02-28T21:00:00.000Z');
+});
+
+test('marks starts derived from the parse day', () => {
+    assert.strictEqual(parse('Until 30 Nov').openStart, true);
+    assert.strictEqual(parse('Every Friday').openStart, true);
+    assert.strictEqual(parse('1 Oct - 30 Nov').openStart, false);
+});
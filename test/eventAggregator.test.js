@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const eventAggregator = require('../utils/eventAggregator');
+const clusterOverrides = require('../utils/clusterOverrides');
+const eventPager = require('../utils/eventPager');
+
+// The same concert listed by two sources, plus an event only one of them lists
+const listings = {
+    ILoveQatar: [
+        { id: '1', title: 'Doha Jazz Festival', venue: 'Katara', date: '2026-11-05T16:00:00Z', price: 'QAR 150', link: 'https://a.example/jazz' }
+    ],
+    'Visit Qatar': [
+        { id: '1', title: 'Doha Jazz Festival', venue: 'Katara', date: '2026-11-05T16:00:00Z', price: 'Check website', link: 'https://b.example/jazz' },
+        { id: '2', title: 'Islamic Art Talk', venue: 'MIA', date: '2026-11-05T10:00:00Z', link: 'https://b.example/talk' }
+    ]
+};
+
+/**
+ * Cluster assignment of every in-memory record
+ */
+function assignments() {
+    return eventAggregator.inMemoryEvents
+        .map(event => [event.id, event.canonicalId, event.isPrimary])
+        .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+test('syncing sources at the same time gives the same clusters as syncing them in turn', async () => {
+    clusterOverrides.inMemoryOverrides = [];
+    eventAggregator.inMemoryEvents = [];
+
+    let running = 0;
+    let overlapped = false;
+    const rebuild = eventAggregator.rebuildCanonicalEvents;
+    eventAggregator.rebuildCanonicalEvents = async function () {
+        overlapped = overlapped || running > 0;
+        running++;
+        try {
+            return await rebuild.call(this);
+        } finally {
+            running--;
+        }
+    };
+
+    try {
+        await Promise.all(Object.entries(listings).map(([source, events]) =>
+            eventAggregator.syncSourceEvents(events, source)
+        ));
+        const concurrent = assignments();
+
+        await eventAggregator.refreshCanonicalEvents();
+
+        assert.strictEqual(overlapped, false);
+        assert.deepStrictEqual(assignments(), concurrent);
+        assert.strictEqual(eventAggregator.inMemoryCanonicalEvents.size, 2);
+
+        const jazz = concurrent.filter(([id]) => id.endsWith('-1'));
+        assert.strictEqual(jazz[0][1], jazz[1][1]);
+        assert.strictEqual(jazz.filter(([, , isPrimary]) => isPrimary).length, 1);
+    } finally {
+        eventAggregator.rebuildCanonicalEvents = rebuild;
+    }
+});
+
+test('refresh requests made during a refresh share one follow-up refresh', async () => {
+    const rebuild = eventAggregator.rebuildCanonicalEvents;
+    let calls = 0;
+    let finishFirst;
+    eventAggregator.rebuildCanonicalEvents = () => {
+        calls++;
+        return calls === 1 ? new Promise(resolve => { finishFirst = resolve; }) : Promise.resolve();
+    };
+
+    try {
+        const first = eventAggregator.refreshCanonicalEvents();
+        await new Promise(setImmediate);
+
+        const second = eventAggregator.refreshCanonicalEvents();
+        const third = eventAggregator.refreshCanonicalEvents();
+        assert.notStrictEqual(first, second);
+        assert.strictEqual(second, third);
+        assert.strictEqual(calls, 1);
+
+        finishFirst();
+        await Promise.all([first, second]);
+        assert.strictEqual(calls, 2);
+    } finally {
+        eventAggregator.rebuildCanonicalEvents = rebuild;
+    }
+});
+
+test('pages by price with unknown prices last and no repeats', async () => {
+    clusterOverrides.inMemoryOverrides = [];
+    eventAggregator.inMemoryEvents = [];
+    await eventAggregator.syncSourceEvents([
+        { id: 'a', title: 'Harbour Concert', date: '2026-11-01T16:00:00Z', price: 'QAR 120' },
+        { id: 'b', title: 'Desert Camp Night', date: '2026-11-02T16:00:00Z', price: 'Check website' },
+        { id: 'c', title: 'Souq Walking Tour', date: '2026-11-03T16:00:00Z', price: 'Free' },
+        { id: 'd', title: 'Dhow Cruise Dinner', date: '2026-11-04T16:00:00Z', price: 'USD 20' },
+        { id: 'e', title: 'Pearl Diving Trip', date: '2026-11-05T16:00:00Z', price: 'QAR 120' }
+    ], 'ILoveQatar');
+
+    const ids = [];
+    let cursor = null;
+    do {
+        const page = await eventAggregator.getEventsPage({}, { sort: 'price', cursor, limit: 2 });
+        ids.push(...page.events.map(event => event.id));
+        cursor = page.nextCursor && eventPager.decodeCursor(page.nextCursor, 'price');
+    } while (cursor);
+
+    assert.deepStrictEqual(ids, ['ILoveQatar-c', 'ILoveQatar-d', 'ILoveQatar-a', 'ILoveQatar-e', 'ILoveQatar-b']);
+});
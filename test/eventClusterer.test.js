@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const eventClusterer = require('../utils/eventClusterer');
+const clusterOverrides = require('../utils/clusterOverrides');
+
+// Two listings of the same concert that the scorer links on its own
+const events = [
+    { id: 'ILoveQatar-1', source: 'ILoveQatar', title: 'Doha Jazz Festival', venue: 'Katara', date: '2026-11-05T16:00:00Z', link: 'https://a.example/jazz' },
+    { id: 'Visit Qatar-1', source: 'Visit Qatar', title: 'Doha Jazz Festival', venue: 'Katara', date: '2026-11-05T16:00:00Z', link: 'https://b.example/jazz' },
+    { id: 'Qatar Museums-1', source: 'Qatar Museums', title: 'Islamic Art Talk', venue: 'MIA', date: '2026-11-05T10:00:00Z', link: 'https://c.example/talk' }
+];
+const pair = ['ILoveQatar-1', 'Visit Qatar-1'];
+
+/**
+ * Cluster the events with the given overrides, added in order
+ */
+async function clusterWith(overrides) {
+    clusterOverrides.inMemoryOverrides = [];
+    for (const override of overrides) {
+        await clusterOverrides.add(override);
+    }
+    const clusters = eventClusterer.cluster(events, await clusterOverrides.getRules());
+    return clusters.map(cluster => cluster.map(event => event.id).sort()).sort();
+}
+
+test('links matching listings without overrides', async () => {
+    const clusters = await clusterWith([]);
+    assert.strictEqual(clusters.length, 2);
+    assert.deepStrictEqual(clusters.find(cluster => cluster.length === 2), pair);
+});
+
+test('a split after a merge of the same pair keeps them apart', async () => {
+    const clusters = await clusterWith([
+        { type: 'merge', eventIds: pair },
+        { type: 'split', eventIds: pair }
+    ]);
+    assert.strictEqual(clusters.length, 3);
+});
+
+test('a never-duplicate after a merge keeps the pair apart', async () => {
+    const clusters = await clusterWith([
+        { type: 'merge', eventIds: ['ILoveQatar-1', 'Qatar Museums-1'] },
+        { type: 'never', eventIds: ['ILoveQatar-1', 'Qatar Museums-1'] }
+    ]);
+    assert.ok(clusters.every(cluster => !(cluster.includes('ILoveQatar-1') && cluster.includes('Qatar Museums-1'))));
+});
+
+test('a merge after a split joins the pair again', async () => {
+    const clusters = await clusterWith([
+        { type: 'split', eventIds: pair },
+        { type: 'merge', eventIds: pair }
+    ]);
+    assert.strictEqual(clusters.length, 2);
+});
+
+test('a merge joins listings the scorer would not link', async () => {
+    const clusters = await clusterWith([
+        { type: 'merge', eventIds: ['ILoveQatar-1', 'Qatar Museums-1'] }
+    ]);
+    assert.ok(clusters.some(cluster => cluster.includes('ILoveQatar-1') && cluster.includes('Qatar Museums-1')));
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const priceParser = require('../utils/priceParser');
+
+test('parses amounts next to a currency', () => {
+    const price = priceParser.parse('QAR 150 - QAR 500');
+    assert.deepStrictEqual([price.priceMin, price.priceMax, price.currency], [150, 500, 'QAR']);
+});
+
+test('takes a bare amount or range as QAR', () => {
+    assert.strictEqual(priceParser.parse('150').priceMin, 150);
+    const range = priceParser.parse('1,200 - 2,000');
+    assert.deepStrictEqual([range.priceMin, range.priceMax, range.currency], [1200, 2000, 'QAR']);
+});
+
+test('ignores numbers in text without a currency', () => {
+    for (const text of ['Doors open 7pm, 18+ only', 'Ages 5-12', 'Starts 19:30']) {
+        const price = priceParser.parse(text);
+        assert.strictEqual(price.priceKnown, false, text);
+        assert.strictEqual(price.priceMin, null, text);
+    }
+});
+
+test('still reads free text with stray numbers as free', () => {
+    const price = priceParser.parse('Free entry, doors open 7pm');
+    assert.strictEqual(price.isFree, true);
+    assert.strictEqual(price.priceMax, 0);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const queryConstraints = require('../utils/queryConstraints');
+
+// A Sunday afternoon in Doha
+const now = new Date('2026-10-18T12:00:00+03:00');
+const extract = query => queryConstraints.extract(query, { now });
+
+test('reads price ceilings with a currency or price word', () => {
+    assert.strictEqual(extract('events under 100 qar').maxPrice, 100);
+    assert.strictEqual(extract('concerts below QR 150').maxPrice, 150);
+    assert.strictEqual(extract('100 riyals or less').maxPrice, 100);
+    assert.strictEqual(extract('tickets under 100').maxPrice, 100);
+    assert.strictEqual(extract('budget of 200 this weekend').maxPrice, 200);
+});
+
+test('ignores ages, distances and headcounts', () => {
+    assert.strictEqual(extract('activities for kids under 12').maxPrice, null);
+    assert.strictEqual(extract('events within 5 km of the pearl').maxPrice, null);
+    assert.strictEqual(extract('table for up to 4 people').maxPrice, null);
+    assert.strictEqual(extract('kids under 12 with cheap tickets').maxPrice, null);
+    assert.strictEqual(extract('cheap events within 10 minutes of west bay').maxPrice, null);
+});
+
+test('keeps paid events when no price ceiling is read', () => {
+    const constraints = extract('activities for kids under 12');
+    const event = {
+        title: 'Kids Science Workshop', category: 'Family & Kids', date: '2026-10-20T10:00:00+03:00',
+        isFree: false, priceKnown: true, priceMin: 80, priceMax: 80, currency: 'QAR'
+    };
+    assert.strictEqual(queryConstraints.matches(event, constraints, now), true);
+});
+
+test('reads free and weekend constraints', () => {
+    const constraints = extract('free concerts this weekend');
+    assert.strictEqual(constraints.free, true);
+    assert.deepStrictEqual(constraints.categories, ['Music & Concerts']);
+    assert.strictEqual(constraints.window.label, 'this weekend');
+});
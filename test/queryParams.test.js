@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const queryParams = require('../utils/queryParams');
+
+test('reads a limit within range, or the default when none is given', () => {
+    assert.strictEqual(queryParams.parseLimit('5', 20, 100), 5);
+    assert.strictEqual(queryParams.parseLimit('100', 20, 100), 100);
+    assert.strictEqual(queryParams.parseLimit(undefined, 20, 100), 20);
+});
+
+test('rejects limits that are not an integer from 1 to the maximum', () => {
+    for (const value of ['-5', '0', '3abc', 'abc', '2.5', '101', '']) {
+        assert.throws(() => queryParams.parseLimit(value, 20, 100), /Invalid limit/, value);
+    }
+});
+
+test('rejects repeated and bracketed query values', () => {
+    assert.doesNotThrow(() => queryParams.assertStringQuery({ source: 'ILoveQatar', limit: '5' }));
+    assert.throws(() => queryParams.assertStringQuery({ source: ['a', 'b'] }), /Invalid source/);
+    assert.throws(() => queryParams.assertStringQuery({ source: { $ne: 'x' } }), /Invalid source/);
+});
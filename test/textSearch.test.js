@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const textSearch = require('../utils/textSearch');
+
+const events = [
+    { title: 'متحف قطر الوطني' },
+    { title: 'الخطوط الجوية القطرية' },
+    { title: 'Qatar National Day Parade' },
+    { title: 'Qatari Cuisine Festival' }
+];
+
+/**
+ * Titles the MongoDB regex matches, run against the stored searchableText
+ */
+function mongoMatches(terms) {
+    const { $regex, $options } = textSearch.mongoRegex(terms);
+    const pattern = new RegExp($regex, $options);
+    return events.filter(event => pattern.test(textSearch.searchableText(event))).map(event => event.title);
+}
+
+/**
+ * Titles the in-memory search matches
+ */
+function scoreMatches(terms) {
+    return events.filter(event => textSearch.score(event, terms) > 0).map(event => event.title);
+}
+
+test('matches whole Arabic words only, like the in-memory search', () => {
+    const terms = textSearch.parseQuery('قطر');
+    assert.deepStrictEqual(mongoMatches(terms), ['متحف قطر الوطني']);
+    assert.deepStrictEqual(scoreMatches(terms), mongoMatches(terms));
+});
+
+test('matches whole Latin words only, like the in-memory search', () => {
+    const terms = textSearch.parseQuery('Qatar');
+    assert.deepStrictEqual(mongoMatches(terms), ['Qatar National Day Parade']);
+    assert.deepStrictEqual(scoreMatches(terms), mongoMatches(terms));
+});
+
+test('matches the last term as a prefix in Arabic text', () => {
+    const terms = textSearch.parseQuery('القط', { prefix: true });
+    assert.deepStrictEqual(mongoMatches(terms), ['الخطوط الجوية القطرية']);
+    assert.deepStrictEqual(scoreMatches(terms), mongoMatches(terms));
+});
@@ -0,0 +1,263 @@
+/**
+ * Answer Grounding
+ * Splits a chatbot answer into claims with the event IDs they cite, and checks
+ * each claim against the events the model was given
+ *
+ * Events in the prompt are labelled with short aliases (E1, E2...) rather than
+ * their IDs, which can be long URLs. The model cites them inline, e.g.
+ * "Desert Safari runs on Oct 19 [E1].", and ground() maps the aliases back to
+ * event IDs. A claim is a sentence or list line with its citations. Claims that cite only
+ * events outside the context, or that name a known event outside it, are
+ * removed. Prices and dates a claim's events don't have are flagged as issues.
+ * Uncited claims are checked against every event in the context.
+ */
+
+const dateParser = require('./dateParser');
+const priceParser = require('./priceParser');
+const recurrence = require('./recurrence');
+const textSearch = require('./textSearch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "[E1]" or "[E1, E4]", but not a Markdown link "[text](url)"
+const CITATION_PATTERN = /[^\S\n]*\[([^[\]\n]+)\](?!\()/g;
+
+// A sentence ends at . ! or ? before a space, or at a line break; "1. " numbering a list item doesn't count
+const SENTENCE_END = /(?<!(?:^|\n)[^\S\n]*\d{1,3})[.!?]+(?=\s|$)[^\S\n]*|\n+/g;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_WORD = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+
+// "October 19", "Oct 19th, 2026", "19 October" or "19th of Oct 2026"
+const DATE_PATTERNS = [
+    new RegExp(`\\b${MONTH_WORD}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+    new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_WORD}\\b\\.?(?:,?\\s+(\\d{4}))?`, 'gi')
+];
+
+// Titles shorter than this are too generic to count as a mention ("Yoga")
+const MIN_TITLE_LENGTH = 8;
+
+// Reply when every claim in an answer is removed
+const EMPTY_ANSWER = "I couldn't find an answer to that in the events I have. Try asking about the events listed below.";
+
+/**
+ * Alias of the event at a position in the prompt, e.g. 'E1' for the first
+ */
+function aliasFor(index) {
+    return `E${index + 1}`;
+}
+
+/**
+ * Remove citation markers from answer text
+ */
+function stripCitations(text) {
+    return text.replace(CITATION_PATTERN, '');
+}
+
+/**
+ * Split answer text into sentences, keeping their trailing whitespace
+ */
+function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+
+    for (const match of text.matchAll(SENTENCE_END)) {
+        const end = match.index + match[0].length;
+        if (end > start) {
+            sentences.push(text.slice(start, end));
+            start = end;
+        }
+    }
+    if (start < text.length) {
+        sentences.push(text.slice(start));
+    }
+
+    return sentences;
+}
+
+/**
+ * Aliases cited in text, in order of first citation
+ */
+function citedAliases(text) {
+    const aliases = [...text.matchAll(CITATION_PATTERN)]
+        .flatMap(match => match[1].split(','))
+        .map(alias => alias.trim().toUpperCase())
+        .filter(Boolean);
+    return [...new Set(aliases)];
+}
+
+/**
+ * Split an answer into claims
+ * Citations that open a sentence ("...on Oct 19. [E1]") belong to the one before
+ * @returns {Array} [{ text, aliases }] with text as written minus the citations
+ */
+function parseClaims(answer) {
+    const claims = [];
+
+    for (const sentence of splitSentences(answer)) {
+        const leading = sentence.match(/^(?:[^\S\n]*\[[^[\]\n]+\](?!\())+/);
+        const previous = claims[claims.length - 1];
+        let rest = sentence;
+
+        if (leading && previous) {
+            previous.aliases = [...new Set([...previous.aliases, ...citedAliases(leading[0])])];
+            rest = sentence.slice(leading[0].length).replace(/^[^\S\n]+/, '');
+        }
+
+        const text = stripCitations(rest);
+        if (!text.trim() && previous) {
+            // Only whitespace and citations left: they end the previous claim
+            previous.aliases = [...new Set([...previous.aliases, ...citedAliases(rest)])];
+            previous.text = text.includes('\n') ? previous.text.replace(/[^\S\n]+$/, '') + text : previous.text + text;
+            continue;
+        }
+
+        claims.push({ text, aliases: citedAliases(rest) });
+    }
+
+    return claims;
+}
+
+/**
+ * Amounts an event's price could be quoted as
+ */
+function knownAmounts(event) {
+    return [
+        ...priceParser.currencyAmounts(event.price),
+        ...(String(event.price || '').match(/\d+(?:\.\d+)?/g) || []).map(Number),
+        event.priceMin,
+        event.priceMax
+    ].filter(amount => typeof amount === 'number' && !Number.isNaN(amount));
+}
+
+/**
+ * Prices in a claim that none of its events have
+ */
+function unsupportedPrices(text, events) {
+    const issues = [];
+    const amounts = events.flatMap(knownAmounts);
+
+    for (const amount of priceParser.currencyAmounts(text)) {
+        if (!amounts.some(known => Math.abs(known - amount) < 0.5)) {
+            issues.push({ type: 'price', value: String(amount) });
+        }
+    }
+
+    if (/\bfree\b/i.test(text) &&
+        !events.some(event => event.isFree || priceParser.FREE_PATTERN.test(event.price || ''))) {
+        issues.push({ type: 'price', value: 'free' });
+    }
+
+    return issues;
+}
+
+/**
+ * Whether any event takes place on a Qatar calendar day
+ */
+function happensOn(events, year, month, day) {
+    const from = dateParser.qatarTime(year, month, day);
+    const to = new Date(from.getTime() + DAY_MS - 1);
+    return events.some(event => recurrence.occurrencesBetween(event, from, to, 1).length > 0);
+}
+
+/**
+ * Dates in a claim on which none of its events take place
+ * Dates without a year may fall in last, this or next year
+ */
+function unsupportedDates(text, events, now) {
+    const issues = [];
+    const { year } = dateParser.qatarDateParts(now);
+
+    for (const [index, pattern] of DATE_PATTERNS.entries()) {
+        for (const match of text.matchAll(pattern)) {
+            const [monthWord, dayText] = index === 0 ? [match[1], match[2]] : [match[2], match[1]];
+            const month = MONTHS.indexOf(monthWord.slice(0, 3).toLowerCase());
+            const day = Number(dayText);
+            if (day < 1 || day > 31) {
+                continue;
+            }
+
+            const years = match[3] ? [Number(match[3])] : [year - 1, year, year + 1];
+            if (!years.some(y => happensOn(events, y, month, day))) {
+                issues.push({ type: 'date', value: match[0].trim() });
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Whether a claim names a known event that isn't in the context
+ */
+function mentionsOtherEvent(text, contextEvents, allEvents) {
+    const normalized = textSearch.normalize(text);
+    const contextIds = new Set(contextEvents.map(event => event.id));
+    const contextTitles = contextEvents.map(event => textSearch.normalize(event.title));
+
+    return allEvents.some(event => {
+        if (contextIds.has(event.id) || !event.title) {
+            return false;
+        }
+        const title = textSearch.normalize(event.title);
+        return title.length >= MIN_TITLE_LENGTH &&
+            normalized.includes(title) &&
+            // "Heritage Tour" inside a listed "Heritage Tour: Old Doha" is fine
+            !contextTitles.some(contextTitle => contextTitle.includes(title));
+    });
+}
+
+/**
+ * Check an answer against the events in its prompt
+ * @param {string} answer - Model reply with inline alias citations
+ * @param {Object} options - { contextEvents, allEvents, now } with contextEvents in
+ *   prompt order, so aliasFor(i) names contextEvents[i]
+ * @returns {Object} { response, answer: [{ text, eventIds, issues }], eventIds, removed }
+ *   response is the kept claims as plain text; eventIds are all cited events in order
+ */
+function ground(answer, { contextEvents = [], allEvents = [], now = new Date() } = {}) {
+    const contextByAlias = new Map(contextEvents.map((event, index) => [aliasFor(index), event]));
+    const claims = [];
+    let removed = 0;
+
+    for (const claim of parseClaims(answer)) {
+        const cited = claim.aliases.map(alias => contextByAlias.get(alias)).filter(Boolean);
+
+        if ((claim.aliases.length > 0 && cited.length === 0) ||
+            mentionsOtherEvent(claim.text, contextEvents, allEvents)) {
+            removed++;
+            continue;
+        }
+
+        const events = cited.length > 0 ? cited : contextEvents;
+        claims.push({
+            text: claim.text,
+            eventIds: cited.map(event => event.id),
+            issues: [...unsupportedPrices(claim.text, events), ...unsupportedDates(claim.text, events, now)]
+        });
+    }
+
+    const response = claims.map(claim => claim.text).join('').trim();
+    if (!response) {
+        return {
+            response: EMPTY_ANSWER,
+            answer: [{ text: EMPTY_ANSWER, eventIds: [], issues: [] }],
+            eventIds: [],
+            removed
+        };
+    }
+
+    return {
+        response,
+        answer: claims,
+        eventIds: [...new Set(claims.flatMap(claim => claim.eventIds))],
+        removed
+    };
+}
+
+module.exports = {
+    aliasFor,
+    ground,
+    parseClaims,
+    stripCitations
+};
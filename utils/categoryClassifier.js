@@ -1,9 +1,9 @@
 /**
  * AI Category Classifier
- * Uses Gemini AI to improve event categorization
+ * Uses the configured language model provider to improve event categorization
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('../providers');
 
 class CategoryClassifier {
     constructor() {
@@ -24,27 +24,28 @@ class CategoryClassifier {
             'Other'
         ];
 
-        // Initialize Gemini AI (will be null if no API key)
-        this.genAI = null;
-        this.model = null;
+        // Language model provider (null if none is configured)
+        this.provider = null;
 
-        if (process.env.GEMINI_API_KEY) {
-            try {
-                this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-                this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-                console.log('AI Category Classifier: Gemini AI initialized');
-            } catch (error) {
-                console.log('AI Category Classifier: Failed to initialize Gemini AI:', error.message);
-            }
+        try {
+            this.provider = createProvider();
+        } catch (error) {
+            console.log('AI Category Classifier: Failed to initialize language model provider:', error.message);
+        }
+
+        if (this.provider) {
+            console.log(`AI Category Classifier: Using ${this.provider.name} provider`);
         } else {
-            console.log('AI Category Classifier: No GEMINI_API_KEY found, using rule-based classification');
+            console.log('AI Category Classifier: No language model provider, using rule-based classification');
         }
     }
 
     /**
      * Classify event category using AI or rules
+     * @param {Object} event - Raw event
+     * @param {SourceRunStats} [stats] - Counts AI calls for the scrape run
      */
-    async classifyCategory(event) {
+    async classifyCategory(event, stats = null) {
         const originalCategory = event.category || '';
 
         // If category looks good already, keep it
@@ -53,8 +54,11 @@ class CategoryClassifier {
         }
 
         // Try AI classification if available
-        if (this.model) {
+        if (this.provider) {
             try {
+                if (stats) {
+                    stats.classifierCalls++;
+                }
                 const aiCategory = await this.classifyWithAI(event);
                 if (aiCategory) {
                     return aiCategory;
@@ -83,35 +87,21 @@ class CategoryClassifier {
     }
 
     /**
-     * Classify using Gemini AI
+     * Classify using the language model provider
+     * @returns {string|null} one of the standard categories
      */
     async classifyWithAI(event) {
         try {
-            const prompt = `You are an event categorization expert. Given an event, classify it into ONE of these categories:
-${this.standardCategories.join(', ')}
-
-Event Details:
+            const details = `Event Details:
 Title: ${event.title}
 Description: ${event.description || 'N/A'}
 Original Category: ${event.category || 'N/A'}
 Venue: ${event.venue || 'N/A'}
-Organizer: ${event.organizer || 'N/A'}
-
-Return ONLY the category name, nothing else. Choose the most appropriate single category.`;
-
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const category = response.text().trim();
-
-            // Validate that the response is one of our standard categories
-            const matchedCategory = this.standardCategories.find(std =>
-                category.toLowerCase().includes(std.toLowerCase()) ||
-                std.toLowerCase().includes(category.toLowerCase())
-            );
+Organizer: ${event.organizer || 'N/A'}`;
 
-            return matchedCategory || null;
+            return await this.provider.classify(details, this.standardCategories);
         } catch (error) {
-            console.error('Gemini AI classification error:', error.message);
+            console.error('AI classification error:', error.message);
             return null;
         }
     }
@@ -164,12 +154,12 @@ Return ONLY the category name, nothing else. Choose the most appropriate single
     /**
      * Batch classify multiple events
      */
-    async classifyBatch(events) {
+    async classifyBatch(events, stats = null) {
         const results = [];
 
         for (const event of events) {
             try {
-                const category = await this.classifyCategory(event);
+                const category = await this.classifyCategory(event, stats);
                 results.push({
                     ...event,
                     category,
@@ -177,7 +167,7 @@ Return ONLY the category name, nothing else. Choose the most appropriate single
                 });
 
                 // Small delay to avoid rate limiting
-                if (this.model) {
+                if (this.provider && this.provider.name !== 'offline') {
                     await this.delay(100);
                 }
             } catch (error) {
@@ -0,0 +1,161 @@
+/**
+ * Chat Sessions
+ * Stores chatbot conversations with MongoDB, falling back to memory.
+ * Sessions expire after config/chat.js sessionTtlHours without a message.
+ */
+
+const crypto = require('crypto');
+const ChatSession = require('../models/ChatSession');
+const chatConfig = require('../config/chat');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+class ChatSessions {
+    constructor() {
+        this.inMemorySessions = new Map(); // sessionId -> session, used when DB is unavailable
+        this.useDatabase = false;
+    }
+
+    /**
+     * Initialize with database support
+     */
+    async initialize(database) {
+        this.database = database;
+        this.useDatabase = database && database.isConnected;
+
+        if (this.useDatabase) {
+            console.log('ChatSessions: Using MongoDB for persistence');
+        } else {
+            console.log('ChatSessions: Using in-memory storage (no persistence)');
+        }
+    }
+
+    /**
+     * Expiry time for a session active now
+     */
+    expiresFromNow() {
+        return new Date(Date.now() + chatConfig.sessionTtlHours * 60 * 60 * 1000);
+    }
+
+    /**
+     * Get a live session, or null if it does not exist or has expired
+     */
+    async get(sessionId) {
+        if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+            return null;
+        }
+
+        if (this.useDatabase) {
+            try {
+                // The TTL monitor only runs once a minute, so check expiry here too
+                const session = await ChatSession.findOne({ sessionId, expiresAt: { $gt: new Date() } }).lean();
+                return session ? this.convertDbSessionToFormat(session) : null;
+            } catch (error) {
+                console.error('Error fetching chat session:', error.message);
+            }
+        }
+
+        const session = this.inMemorySessions.get(sessionId);
+        return session && session.expiresAt > new Date() ? session : null;
+    }
+
+    /**
+     * Get a live session, or start a new one (saved with its first exchange)
+     */
+    async getOrCreate(sessionId) {
+        const session = await this.get(sessionId);
+        if (session) {
+            return session;
+        }
+
+        return {
+            sessionId: crypto.randomUUID(),
+            turns: [],
+            shownEventIds: [],
+            expiresAt: this.expiresFromNow()
+        };
+    }
+
+    /**
+     * Append a question and its answer to a session and extend its expiry
+     * @param {Object} session - From getOrCreate
+     * @param {Object} exchange - { query, response, eventIds }
+     */
+    async recordExchange(session, { query, response, eventIds = [] }) {
+        const now = new Date();
+        const turns = [
+            { role: 'user', content: query, eventIds: [], createdAt: now },
+            { role: 'assistant', content: response, eventIds, createdAt: now }
+        ];
+        const shownEventIds = [...new Set([...eventIds, ...session.shownEventIds])]
+            .slice(0, chatConfig.maxShownEvents);
+        const expiresAt = this.expiresFromNow();
+
+        if (this.useDatabase) {
+            try {
+                await ChatSession.updateOne(
+                    { sessionId: session.sessionId },
+                    {
+                        $push: { turns: { $each: turns, $slice: -chatConfig.maxStoredTurns } },
+                        $set: { shownEventIds, expiresAt }
+                    },
+                    { upsert: true }
+                );
+                return;
+            } catch (error) {
+                console.error('Error saving chat session:', error.message);
+            }
+        }
+
+        this.pruneExpired();
+        this.inMemorySessions.set(session.sessionId, {
+            sessionId: session.sessionId,
+            turns: [...session.turns, ...turns].slice(-chatConfig.maxStoredTurns),
+            shownEventIds,
+            expiresAt
+        });
+    }
+
+    /**
+     * Delete a session
+     * @returns {boolean} whether a session was removed
+     */
+    async remove(sessionId) {
+        if (this.useDatabase) {
+            try {
+                const result = await ChatSession.deleteOne({ sessionId });
+                return result.deletedCount > 0;
+            } catch (error) {
+                console.error('Error deleting chat session:', error.message);
+            }
+        }
+
+        return this.inMemorySessions.delete(sessionId);
+    }
+
+    /**
+     * Drop expired in-memory sessions
+     */
+    pruneExpired() {
+        const now = new Date();
+        for (const [sessionId, session] of this.inMemorySessions) {
+            if (session.expiresAt <= now) {
+                this.inMemorySessions.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Convert a database session to API format
+     */
+    convertDbSessionToFormat(session) {
+        return {
+            sessionId: session.sessionId,
+            turns: session.turns,
+            shownEventIds: session.shownEventIds,
+            expiresAt: session.expiresAt
+        };
+    }
+}
+
+module.exports = new ChatSessions();
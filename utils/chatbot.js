@@ -1,19 +1,41 @@
 /**
  * RAG Chatbot
- * Uses Gemini API for embeddings and chat responses
+ * Uses the configured language model provider (providers/) for embeddings and chat responses
  * Implements Retrieval-Augmented Generation pipeline with MongoDB persistence
+ *
+ * Conversations are multi-turn: follow-up questions are rewritten into
+ * standalone search queries, and recent turns plus the events shown earlier
+ * are passed back to the model with each prompt.
+ *
+ * Retrieval is hybrid: dates, categories, prices, venue and audience read
+ * from the question filter the events first, then the remaining candidates
+ * are ranked by embedding similarity, or by BM25 keyword scoring when
+ * embeddings are unavailable.
+ *
+ * chatStream yields the same answer piece by piece as it is generated, for
+ * the Server-Sent Events endpoint.
+ *
+ * Answers cite event IDs inline. Before an answer is returned it is split into
+ * claims and checked against the events in the prompt (utils/answerGrounding.js).
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const VectorStore = require('./vectorStore');
+const queryConstraints = require('./queryConstraints');
+const answerGrounding = require('./answerGrounding');
+const textSearch = require('./textSearch');
+const recurrence = require('./recurrence');
+const chatConfig = require('../config/chat');
+
+// Events retrieved per question
+const RESULTS_LIMIT = 5;
 
 class Chatbot {
-    constructor(apiKey) {
-        this.vectorStore = new VectorStore();
-        this.genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
-        this.embeddingModel = this.genAI ? this.genAI.getGenerativeModel({ model: 'text-embedding-004' }) : null;
-        this.chatModel = this.genAI ? this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' }) : null;
-        this.hasApiKey = !!apiKey;
+    /**
+     * @param {Object|null} provider - From providers/createProvider; null disables answers and embeddings
+     */
+    constructor(provider) {
+        this.provider = provider;
+        this.vectorStore = new VectorStore(provider ? provider.embeddingModel : null);
         this.isInitialized = false;
     }
 
@@ -30,13 +52,12 @@ class Chatbot {
      * Generate embedding for text
      */
     async generateEmbedding(text) {
-        if (!this.hasApiKey) {
-            throw new Error('Gemini API key not configured');
+        if (!this.provider) {
+            throw new Error('No language model provider configured');
         }
 
         try {
-            const result = await this.embeddingModel.embedContent(text);
-            return result.embedding.values;
+            return await this.provider.embed(text);
         } catch (error) {
             console.error('Error generating embedding:', error.message);
             throw error;
@@ -47,8 +68,8 @@ class Chatbot {
      * Index events in vector store (smart indexing - only new events)
      */
     async indexEvents(events) {
-        if (!this.hasApiKey) {
-            console.log('Chatbot: No API key, skipping event indexing');
+        if (!this.provider) {
+            console.log('Chatbot: No language model provider, skipping event indexing');
             return;
         }
 
@@ -111,59 +132,293 @@ class Chatbot {
 
     /**
      * Chat with RAG pipeline
+     * @param {string} userQuery - Latest user message
+     * @param {Array} allEvents - Current events, for full event details
+     * @param {Object} [session] - Conversation so far: { turns, shownEventIds }
+     * @returns {Object} { response, answer, citations, events, searchQuery }, or an
+     *   apology with failed: true if the answer could not be made
      */
-    async chat(userQuery, allEvents = []) {
-        if (!this.hasApiKey) {
-            return {
-                response: "I'm sorry, but the chatbot is not configured. Please set up your Gemini API key to enable chat functionality.",
-                events: []
-            };
-        }
-
-        const isEmpty = await this.vectorStore.isEmpty();
-        if (isEmpty) {
-            return {
-                response: "I don't have any events indexed yet. Please wait for the events to load.",
-                events: []
-            };
-        }
-
+    async chat(userQuery, allEvents = [], session = null) {
         try {
-            // Step 1: Generate query embedding
-            const queryEmbedding = await this.generateEmbedding(userQuery);
+            const { searchQuery, results, contextEvents, prompt } = await this.prepare(userQuery, allEvents, session);
+            const events = results.map(r => r.metadata);
 
-            // Step 2: Retrieve similar events (pass full event metadata)
-            const results = await this.vectorStore.search(queryEmbedding, 5, allEvents);
+            if (!this.provider) {
+                return {
+                    ...this.notConfiguredAnswer(events),
+                    events,
+                    searchQuery
+                };
+            }
 
-            // Step 3: Build context from retrieved events
-            const context = this.buildContext(results);
+            // Step 4: Generate response
+            const reply = await this.provider.generate(prompt, { query: userQuery, events });
 
-            // Step 4: Generate response using Gemini
-            const prompt = this.buildPrompt(userQuery, context);
-            const result = await this.chatModel.generateContent(prompt);
-            const response = result.response.text();
+            // Step 5: Keep only what the retrieved events support
+            const grounded = this.ground(reply, contextEvents, allEvents);
 
             // Return response with relevant events
             return {
-                response: response,
-                events: results.map(r => r.metadata)
+                response: grounded.response,
+                answer: grounded.answer,
+                citations: grounded.citations,
+                events,
+                searchQuery
             };
         } catch (error) {
             console.error('Chat error:', error.message);
             return {
                 response: "I'm sorry, I encountered an error processing your request. Please try again.",
-                events: []
+                answer: [],
+                citations: [],
+                events: [],
+                failed: true
             };
         }
     }
 
+    /**
+     * Chat with RAG pipeline, yielding the answer as it is generated
+     * Yields { type: 'events', events, searchQuery } once retrieval is done,
+     * then { type: 'token', text } for each piece of the answer, and finally
+     * { type: 'done', response, answer, citations } with the checked answer.
+     * Token text is the raw model output, citation markers included.
+     * Errors are thrown to the caller.
+     * @param {Object} [options] - { signal } AbortSignal that stops generation
+     */
+    async *chatStream(userQuery, allEvents = [], session = null, { signal } = {}) {
+        const { searchQuery, results, contextEvents, prompt } = await this.prepare(userQuery, allEvents, session);
+        const events = results.map(r => r.metadata);
+
+        yield { type: 'events', events, searchQuery };
+
+        if (!this.provider) {
+            const answer = this.notConfiguredAnswer(events);
+            yield { type: 'token', text: answer.response };
+            yield { type: 'done', ...answer };
+            return;
+        }
+
+        let reply = '';
+        for await (const text of this.provider.generateStream(prompt, { signal, query: userQuery, events })) {
+            reply += text;
+            yield { type: 'token', text };
+        }
+
+        const grounded = this.ground(reply, contextEvents, allEvents);
+        yield { type: 'done', response: grounded.response, answer: grounded.answer, citations: grounded.citations };
+    }
+
+    /**
+     * Rewrite the query, retrieve events and build the prompt for an answer
+     * @returns {Object} { searchQuery, constraints, results, contextEvents, prompt }
+     *   contextEvents are all events in the prompt, retrieved and shown earlier
+     */
+    async prepare(userQuery, allEvents, session) {
+        const turns = session ? session.turns : [];
+
+        // Step 1: Turn follow-ups into a standalone query
+        const searchQuery = await this.rewriteQuery(userQuery, turns);
+
+        // Step 2: Filter events by the question's constraints and rank the rest
+        const { constraints, results } = await this.retrieve(searchQuery, allEvents);
+
+        // Step 3: Build context from retrieved events and events shown earlier
+        const context = this.buildContext(results);
+        const earlierEvents = this.getEarlierEvents(session, results, allEvents);
+        const prompt = this.buildPrompt(userQuery, context, {
+            history: this.formatHistory(turns),
+            // Earlier events follow the retrieved ones in contextEvents, and so in alias order
+            earlierContext: this.buildContext(earlierEvents.map(event => ({ metadata: event })), 'Earlier event', results.length),
+            filters: queryConstraints.describe(constraints)
+        });
+
+        return {
+            searchQuery,
+            constraints,
+            results,
+            contextEvents: [...results.map(result => result.metadata), ...earlierEvents],
+            prompt
+        };
+    }
+
+    /**
+     * Answer given without a language model provider, citing all the matching events
+     * @returns {Object} { response, answer, citations }
+     */
+    notConfiguredAnswer(events) {
+        const response = events.length > 0
+            ? "I can't write answers because the chatbot is not configured (no language model provider), but these events match your question."
+            : "I'm sorry, but the chatbot is not configured. Please set GEMINI_API_KEY or LLM_PROVIDER to enable chat functionality.";
+
+        return {
+            response,
+            answer: [{ text: response, eventIds: events.map(event => event.id), issues: [] }],
+            citations: events.map(event => this.toCitation(event))
+        };
+    }
+
+    /**
+     * Check a model reply against the events in its prompt
+     * @returns {Object} { response, answer, citations } see answerGrounding.ground
+     */
+    ground(reply, contextEvents, allEvents) {
+        const grounded = answerGrounding.ground(reply, { contextEvents, allEvents });
+        const flagged = grounded.answer.filter(claim => claim.issues.length > 0).length;
+        if (grounded.removed > 0 || flagged > 0) {
+            console.log(`Chatbot: Removed ${grounded.removed} and flagged ${flagged} unsupported claims`);
+        }
+
+        const eventsById = new Map(contextEvents.map(event => [event.id, event]));
+        return {
+            response: grounded.response,
+            answer: grounded.answer,
+            citations: grounded.eventIds.map(id => this.toCitation(eventsById.get(id)))
+        };
+    }
+
+    /**
+     * Citation of an event, linking to its page
+     */
+    toCitation(event) {
+        return {
+            eventId: event.id,
+            title: event.title,
+            url: `/events/${encodeURIComponent(event.id)}`
+        };
+    }
+
+    /**
+     * Find the events that best answer a query
+     * Candidates must meet every constraint in the query. They are ranked by
+     * embedding similarity when events are indexed, topped up by BM25 ranking
+     * of the query's remaining words, and then by date when the constraints
+     * alone describe what was asked for ("free events this weekend").
+     * @returns {Object} { constraints, results: [{ eventId, metadata, similarity | score }] }
+     */
+    async retrieve(query, allEvents, limit = RESULTS_LIMIT) {
+        const now = new Date();
+        const constraints = queryConstraints.extract(query, { now });
+        const candidates = allEvents.filter(event => queryConstraints.matches(event, constraints, now));
+        let results = [];
+
+        if (candidates.length > 0 && this.provider && !(await this.vectorStore.isEmpty())) {
+            try {
+                const queryEmbedding = await this.generateEmbedding(query);
+                results = await this.vectorStore.search(queryEmbedding, limit, candidates, { candidatesOnly: true });
+            } catch (error) {
+                console.error('Chatbot: Vector search failed, using keyword ranking:', error.message);
+            }
+        }
+
+        if (results.length < limit) {
+            const seen = new Set(results.map(result => result.eventId));
+            const remaining = candidates.filter(event => !seen.has(event.id));
+            const ranked = textSearch.bm25(remaining, constraints.terms)
+                .map(({ event, score }) => ({ eventId: event.id, metadata: event, score }));
+
+            if (constraints.terms.length === 0 || queryConstraints.describe(constraints)) {
+                const matched = new Set(ranked.map(result => result.eventId));
+                ranked.push(...this.sortBySoonest(remaining.filter(event => !matched.has(event.id)), now)
+                    .map(event => ({ eventId: event.id, metadata: event, score: 0 })));
+            }
+
+            results = [...results, ...ranked.slice(0, limit - results.length)];
+        }
+
+        return { constraints, results };
+    }
+
+    /**
+     * Sort events by when they next happen, undated events last
+     */
+    sortBySoonest(events, now) {
+        const yearAhead = new Date(now.getTime() + 366 * 24 * 60 * 60 * 1000);
+        const next = event => {
+            const [occurrence] = recurrence.occurrencesBetween(event, now, yearAhead, 1);
+            return occurrence ? occurrence.start.getTime() : Infinity;
+        };
+
+        return events
+            .map(event => ({ event, next: next(event) }))
+            .sort((a, b) => a.next - b.next)
+            .map(({ event }) => event);
+    }
+
+    /**
+     * Rewrite a follow-up message as a standalone search query using the conversation
+     * e.g. "which of those are free?" after "concerts this weekend" becomes
+     * "free concerts this weekend". First messages are used as they are.
+     */
+    async rewriteQuery(userQuery, turns) {
+        if (turns.length === 0) {
+            return userQuery;
+        }
+
+        const lastQuestion = [...turns].reverse().find(turn => turn.role === 'user');
+        const combined = lastQuestion ? `${lastQuestion.content} ${userQuery}` : userQuery;
+        if (!this.provider) {
+            return combined;
+        }
+
+        const prompt = `Rewrite the user's latest message as a standalone search query for finding events in Qatar. Resolve references such as "those", "it" or "what about" using the conversation. Keep any dates, places, prices and categories. Reply with the query only.
+
+Conversation:
+${this.formatHistory(turns)}
+
+Latest message: ${userQuery}
+
+Search query:`;
+
+        try {
+            const reply = await this.provider.generate(prompt);
+            const rewritten = reply.trim().replace(/^["']|["']$/g, '');
+            // Providers that can't follow prompts reply with nothing
+            return rewritten ? rewritten.slice(0, chatConfig.maxQueryLength) : combined;
+        } catch (error) {
+            // Searching with the previous question as well still keeps its topic
+            console.error('Error rewriting chat query:', error.message);
+            return combined;
+        }
+    }
+
+    /**
+     * Recent turns of a conversation as prompt text, each cut to maxTurnChars
+     */
+    formatHistory(turns) {
+        return turns.slice(-chatConfig.promptTurns).map(turn => {
+            const text = turn.content.length > chatConfig.maxTurnChars
+                ? `${turn.content.slice(0, chatConfig.maxTurnChars)}…`
+                : turn.content;
+            return `${turn.role === 'user' ? 'User' : 'Assistant'}: ${text}`;
+        }).join('\n');
+    }
+
+    /**
+     * Events shown earlier in the conversation that were not retrieved again
+     */
+    getEarlierEvents(session, results, allEvents) {
+        if (!session) {
+            return [];
+        }
+
+        const retrieved = new Set(results.map(result => result.eventId));
+        const eventsById = new Map(allEvents.map(event => [event.id, event]));
+        return session.shownEventIds
+            .filter(id => !retrieved.has(id))
+            .map(id => eventsById.get(id))
+            .filter(Boolean);
+    }
+
     /**
      * Build context from retrieved events
+     * @param {number} [offset] - Events before these in the prompt, for their aliases
      */
-    buildContext(results) {
+    buildContext(results, label = 'Event', offset = 0) {
         return results.map((result, index) => {
             const event = result.metadata;
-            return `Event ${index + 1}:
+            return `${label} ${index + 1}:
+ID: ${answerGrounding.aliasFor(offset + index)}
 Title: ${event.title}
 Date: ${event.dateDisplay || new Date(event.date).toLocaleDateString()}
 Category: ${event.category}
@@ -175,18 +430,33 @@ Description: ${event.description}
     }
 
     /**
-     * Build prompt for Gemini
+     * Build prompt for the language model
+     * @param {Object} [conversation] - { history, earlierContext } prompt text from earlier
+     *   turns, and the filters read from the question
      */
-    buildPrompt(userQuery, context) {
-        return `You are a helpful assistant for the Qatar Events Aggregator. Your role is to help users find and learn about events in Qatar.
+    buildPrompt(userQuery, context, { history = '', earlierContext = '', filters = '' } = {}) {
+        const conversation = history ? `
+Conversation so far:
 
-Here are the most relevant events based on the user's query:
+${history}
+` : '';
+        const earlier = earlierContext ? `
+Events shown earlier in this conversation (the user may refer to these as "those" or "them"):
 
-${context}
+${earlierContext}
+` : '';
 
+        return `You are a helpful assistant for the Qatar Events Aggregator. Your role is to help users find and learn about events in Qatar.
+${conversation}
+Here are the most relevant events based on the user's query${filters ? ` (only events matching: ${filters})` : ''}:
+
+${context || 'No events match this query.'}
+${earlier}
 User Query: ${userQuery}
 
-Please provide a helpful, conversational response. If the user is asking about specific events, reference them by name. If they're looking for recommendations, suggest the most relevant events from the list above. Keep your response concise and friendly.`;
+Please provide a helpful, conversational response. If the user is asking about specific events, reference them by name. If they're looking for recommendations, suggest the most relevant events from the lists above. If the query follows up on the conversation, answer it in that context. If no events match, say so and suggest widening the search. Keep your response concise and friendly.
+
+Only use facts from the events listed above: don't mention any other events, and give only the dates and prices listed for them. End every sentence or list item that mentions an event with the event's ID in square brackets, e.g. [E3]; cite several events as [E1, E3]. Write plain text without links.`;
     }
 
     /**
@@ -196,7 +466,7 @@ Please provide a helpful, conversational response. If the user is asking about s
         const totalEvents = await this.vectorStore.size();
         return {
             totalEvents,
-            hasApiKey: this.hasApiKey,
+            provider: this.provider ? this.provider.name : null,
             isInitialized: this.isInitialized
         };
     }
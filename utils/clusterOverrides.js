@@ -0,0 +1,144 @@
+/**
+ * Cluster Overrides
+ * Stores editor merge/split/never-duplicate decisions with MongoDB, falling back
+ * to memory. The clusterer reapplies them every time canonical events are rebuilt.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const ClusterOverride = require('../models/ClusterOverride');
+
+const OVERRIDE_TYPES = ['merge', 'never', 'split'];
+
+class ClusterOverrides {
+    constructor() {
+        this.inMemoryOverrides = []; // Oldest first, used when DB is unavailable
+        this.useDatabase = false;
+    }
+
+    /**
+     * Initialize with database support
+     */
+    async initialize(database) {
+        this.database = database;
+        this.useDatabase = database && database.isConnected;
+
+        if (this.useDatabase) {
+            console.log('ClusterOverrides: Using MongoDB for persistence');
+        } else {
+            console.log('ClusterOverrides: Using in-memory storage (no persistence)');
+        }
+    }
+
+    /**
+     * List all overrides, oldest first
+     */
+    async list() {
+        if (this.useDatabase) {
+            try {
+                const overrides = await ClusterOverride.find().sort({ createdAt: 1 }).lean();
+                return overrides.map(override => this.convertDbOverrideToFormat(override));
+            } catch (error) {
+                console.error('Error listing cluster overrides:', error.message);
+            }
+        }
+
+        return [...this.inMemoryOverrides];
+    }
+
+    /**
+     * Store a new override
+     * @param {Object} override - { type, eventIds, canonicalId, note }
+     */
+    async add({ type, eventIds, canonicalId = null, note = '' }) {
+        if (!OVERRIDE_TYPES.includes(type)) {
+            throw new Error(`Unknown override type: ${type}`);
+        }
+
+        const override = {
+            type,
+            eventIds: [...new Set(eventIds)],
+            canonicalId,
+            note
+        };
+
+        if (this.useDatabase) {
+            const doc = await ClusterOverride.create(override);
+            return this.convertDbOverrideToFormat(doc.toObject());
+        }
+
+        const stored = {
+            id: crypto.randomUUID(),
+            ...override,
+            createdAt: new Date()
+        };
+        this.inMemoryOverrides.push(stored);
+        return stored;
+    }
+
+    /**
+     * Delete an override
+     * @returns {boolean} whether an override was removed
+     */
+    async remove(id) {
+        if (this.useDatabase) {
+            if (!mongoose.isValidObjectId(id)) {
+                return false;
+            }
+            const result = await ClusterOverride.deleteOne({ _id: id });
+            return result.deletedCount > 0;
+        }
+
+        const before = this.inMemoryOverrides.length;
+        this.inMemoryOverrides = this.inMemoryOverrides.filter(override => override.id !== id);
+        return this.inMemoryOverrides.length < before;
+    }
+
+    /**
+     * Overrides in the form the clusterer consumes
+     * Splits are expanded into never-duplicate pairs between all listed events.
+     * Each pair carries the position of its override, oldest first, so the
+     * clusterer can let the newer of a conflicting merge and split win.
+     * @returns {Object} { merges: [[id, id, order]], never: [[id, id, order]] }
+     */
+    async getRules() {
+        const overrides = await this.list();
+        const merges = [];
+        const never = [];
+
+        overrides.forEach((override, order) => {
+            const ids = override.eventIds;
+
+            if (override.type === 'merge') {
+                for (let i = 1; i < ids.length; i++) {
+                    merges.push([ids[0], ids[i], order]);
+                }
+                return;
+            }
+
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    never.push([ids[i], ids[j], order]);
+                }
+            }
+        });
+
+        return { merges, never };
+    }
+
+    /**
+     * Convert database overrides to API format
+     */
+    convertDbOverrideToFormat(override) {
+        return {
+            id: override._id.toString(),
+            type: override.type,
+            eventIds: override.eventIds,
+            canonicalId: override.canonicalId,
+            note: override.note,
+            createdAt: override.createdAt
+        };
+    }
+}
+
+module.exports = new ClusterOverrides();
@@ -0,0 +1,429 @@
+/**
+ * Date Parser
+ * Shared parser for the date strings scrapers find on event sites
+ *
+ * Handles single dates, ranges ("4 - 7 May", "4 May - 7 June 2025"),
+ * open-ended runs ("Until 30 Nov"), weekly recurrences ("Every Friday"),
+ * ordinals, English and Arabic month names, Arabic-Indic digits and missing
+ * years. Times are read as Asia/Qatar (UTC+3, no daylight saving).
+ *
+ * Ranges come back as a daily recurrence (FREQ=DAILY;UNTIL=...) so every day
+ * they are open can be matched. Unparseable text and days that don't exist
+ * ("31 Feb") yield { start: null, confidence: 0 } instead of a made-up date.
+ * Runs without a listed start ("Until 30 Nov", "Every Friday") start on the
+ * day they are parsed and are marked openStart.
+ */
+
+const recurrenceRules = require('./recurrence');
+
+const QATAR_TIMEZONE = 'Asia/Qatar';
+const QATAR_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A yearless date further in the past than this is taken to be next year
+const PAST_TOLERANCE_MS = 30 * DAY_MS;
+
+const MONTHS = {
+    jan: 0, january: 0, feb: 1, february: 1, mar: 2, march: 2, apr: 3, april: 3,
+    may: 4, jun: 5, june: 5, jul: 6, july: 6, aug: 7, august: 7,
+    sep: 8, sept: 8, september: 8, oct: 9, october: 9, nov: 10, november: 10,
+    dec: 11, december: 11
+};
+
+// Gulf and Levantine month names; longer names first so they win over prefixes
+const ARABIC_MONTHS = [
+    ['كانون الثاني', 'january'], ['كانون الأول', 'december'], ['كانون الاول', 'december'],
+    ['تشرين الأول', 'october'], ['تشرين الاول', 'october'], ['تشرين الثاني', 'november'],
+    ['يناير', 'january'], ['فبراير', 'february'], ['مارس', 'march'], ['أبريل', 'april'],
+    ['ابريل', 'april'], ['إبريل', 'april'], ['مايو', 'may'], ['يونيو', 'june'],
+    ['يوليو', 'july'], ['أغسطس', 'august'], ['اغسطس', 'august'], ['سبتمبر', 'september'],
+    ['أكتوبر', 'october'], ['اكتوبر', 'october'], ['نوفمبر', 'november'], ['ديسمبر', 'december'],
+    ['شباط', 'february'], ['آذار', 'march'], ['نيسان', 'april'], ['أيار', 'may'],
+    ['حزيران', 'june'], ['تموز', 'july'], ['آب', 'august'], ['أيلول', 'september']
+];
+
+const ARABIC_WORDS = [
+    ['الأحد', 'sunday'], ['الاحد', 'sunday'], ['الاثنين', 'monday'], ['الإثنين', 'monday'],
+    ['الثلاثاء', 'tuesday'], ['الأربعاء', 'wednesday'], ['الاربعاء', 'wednesday'],
+    ['الخميس', 'thursday'], ['الجمعة', 'friday'], ['جمعة', 'friday'], ['السبت', 'saturday'],
+    ['يومياً', 'daily'], ['يوميا', 'daily'], ['كل', 'every'], ['حتى', 'until'],
+    ['إلى', 'to'], ['الى', 'to'], ['من', 'from']
+];
+
+const WEEKDAYS = {
+    sun: 'SU', sunday: 'SU', sundays: 'SU', mon: 'MO', monday: 'MO', mondays: 'MO',
+    tue: 'TU', tues: 'TU', tuesday: 'TU', tuesdays: 'TU', wed: 'WE', wednesday: 'WE', wednesdays: 'WE',
+    thu: 'TH', thur: 'TH', thurs: 'TH', thursday: 'TH', thursdays: 'TH',
+    fri: 'FR', friday: 'FR', fridays: 'FR', sat: 'SA', saturday: 'SA', saturdays: 'SA'
+};
+
+const WEEKDAY_INDEX = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+const MONTH_PATTERN = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+
+// "4 - 7 May 2025"
+const DAY_RANGE_FIRST = new RegExp(`\\b(\\d{1,2})\\s*-\\s*(\\d{1,2})\\s+(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`);
+// "May 4 - 7, 2025"
+const MONTH_FIRST_DAY_RANGE = new RegExp(`\\b(${MONTH_PATTERN})\\s+(\\d{1,2})\\s*-\\s*(\\d{1,2})\\b(?:,?\\s+(\\d{4}))?`);
+// "4 May 2025" or "May 4, 2025"
+const DATE_MENTION = new RegExp(
+    `\\b(?:(\\d{1,2})\\s+(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?|(${MONTH_PATTERN})\\s+(\\d{1,2})\\b(?:,?\\s+(\\d{4}))?)`,
+    'g'
+);
+// "04/05/2025", read day first as in Qatar
+const NUMERIC_DATE = /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+// "to"/"until" between two dates, as in "4 May to 7 May"; a leading "until" is kept
+const RANGE_SEPARATOR = new RegExp(`(?<=\\d|\\b(?:${MONTH_PATTERN}))\\s+(?:to|until|till|through|thru)\\s+(?=\\d|(?:${MONTH_PATTERN})\\s+\\d)`, 'g');
+const TIME_12H = /\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/;
+const TIME_24H = /\b([01]?\d|2[0-3]):([0-5]\d)\b/;
+
+/**
+ * Result for text that holds no usable date
+ */
+function unknownDate() {
+    return { start: null, end: null, allDay: true, recurrence: null, confidence: 0, openStart: false };
+}
+
+/**
+ * Build a Date from Qatar wall-clock time
+ */
+function qatarTime(year, month, day, hours = 0, minutes = 0) {
+    return new Date(Date.UTC(year, month, day, hours, minutes) - QATAR_OFFSET_MS);
+}
+
+/**
+ * Whether a calendar day exists, so "31 Feb" doesn't roll over into March
+ */
+function isValidDay(year, month, day) {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day;
+}
+
+/**
+ * Last millisecond of a Qatar calendar day
+ */
+function endOfQatarDay(year, month, day) {
+    return new Date(qatarTime(year, month, day + 1).getTime() - 1);
+}
+
+/**
+ * Qatar calendar date for an instant
+ */
+function qatarDateParts(date) {
+    const shifted = new Date(date.getTime() + QATAR_OFFSET_MS);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth(),
+        day: shifted.getUTCDate(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+/**
+ * Start of the Qatar calendar day containing an instant
+ */
+function startOfQatarDay(date) {
+    const { year, month, day } = qatarDateParts(date);
+    return qatarTime(year, month, day);
+}
+
+/**
+ * Lowercase, convert Arabic digits and words, strip ordinals and unify dashes
+ */
+function normalize(text) {
+    let normalized = String(text)
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/،/g, ',');
+
+    // Whole words only; \b does not see Arabic letters
+    for (const [arabic, english] of [...ARABIC_MONTHS, ...ARABIC_WORDS]) {
+        const word = new RegExp(`(?<![\u0600-\u06FF])${arabic}(?![\u0600-\u06FF])`, 'g');
+        normalized = normalized.replace(word, ` ${english} `);
+    }
+
+    return normalized
+        .toLowerCase()
+        .replace(/(\d+)(st|nd|rd|th)\b/g, '$1')
+        .replace(/[–—]/g, '-')
+        .replace(RANGE_SEPARATOR, ' - ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Read the first time of day in the text
+ * @returns {Object|null} { hours, minutes }
+ */
+function parseTime(text) {
+    const twelveHour = text.match(TIME_12H);
+    if (twelveHour) {
+        let hours = parseInt(twelveHour[1], 10) % 12;
+        if (twelveHour[3] === 'pm') hours += 12;
+        return { hours, minutes: parseInt(twelveHour[2] || '0', 10) };
+    }
+
+    const twentyFourHour = text.match(TIME_24H);
+    if (twentyFourHour) {
+        return { hours: parseInt(twentyFourHour[1], 10), minutes: parseInt(twentyFourHour[2], 10) };
+    }
+
+    return null;
+}
+
+/**
+ * Collect the calendar dates mentioned in normalized text, in order
+ * @returns {Array} { day, month, year|null, index }
+ */
+function findDateMentions(text) {
+    const dayRange = text.match(DAY_RANGE_FIRST);
+    if (dayRange) {
+        const month = MONTHS[dayRange[3]];
+        const year = dayRange[4] ? parseInt(dayRange[4], 10) : null;
+        return [
+            { day: parseInt(dayRange[1], 10), month, year, index: dayRange.index },
+            { day: parseInt(dayRange[2], 10), month, year, index: dayRange.index }
+        ];
+    }
+
+    const monthFirstRange = text.match(MONTH_FIRST_DAY_RANGE);
+    if (monthFirstRange) {
+        const month = MONTHS[monthFirstRange[1]];
+        const year = monthFirstRange[4] ? parseInt(monthFirstRange[4], 10) : null;
+        return [
+            { day: parseInt(monthFirstRange[2], 10), month, year, index: monthFirstRange.index },
+            { day: parseInt(monthFirstRange[3], 10), month, year, index: monthFirstRange.index }
+        ];
+    }
+
+    const mentions = [];
+    for (const match of text.matchAll(DATE_MENTION)) {
+        const dayFirst = match[1] !== undefined;
+        mentions.push({
+            day: parseInt(dayFirst ? match[1] : match[5], 10),
+            month: MONTHS[dayFirst ? match[2] : match[4]],
+            year: (dayFirst ? match[3] : match[6]) ? parseInt(dayFirst ? match[3] : match[6], 10) : null,
+            index: match.index
+        });
+    }
+
+    for (const match of text.matchAll(NUMERIC_DATE)) {
+        mentions.push({
+            day: parseInt(match[1], 10),
+            month: parseInt(match[2], 10) - 1,
+            year: parseInt(match[3], 10),
+            index: match.index
+        });
+    }
+
+    return mentions
+        .filter(mention => mention.month >= 0 && mention.month <= 11)
+        .sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Fill in missing years
+ * A range borrows the year of whichever end has one; otherwise the year is
+ * chosen so the event is not long past.
+ * @returns {boolean} whether any year had to be inferred
+ */
+function resolveYears(mentions, now) {
+    const known = mentions.find(mention => mention.year !== null);
+    const inferred = !mentions.every(mention => mention.year !== null);
+
+    if (known) {
+        for (const mention of mentions) {
+            if (mention.year === null) {
+                // "28 Dec - 3 Jan 2026" starts in the previous year
+                const crossesYear = mention.month > known.month && mentions.indexOf(mention) < mentions.indexOf(known);
+                mention.year = crossesYear ? known.year - 1 : known.year;
+            }
+        }
+        return inferred;
+    }
+
+    const { year } = qatarDateParts(now);
+    const last = mentions[mentions.length - 1];
+    const lastDate = qatarTime(year, last.month, last.day);
+    const baseYear = lastDate.getTime() < now.getTime() - PAST_TOLERANCE_MS ? year + 1 : year;
+
+    for (let i = mentions.length - 1; i >= 0; i--) {
+        const next = mentions[i + 1];
+        mentions[i].year = next && mentions[i].month > next.month ? next.year - 1 : baseYear;
+    }
+    return inferred;
+}
+
+/**
+ * Weekdays named after "every" (or as plurals like "Fridays")
+ * @returns {Object|null} rule parts such as { freq: 'WEEKLY', byDay: ['FR', 'SA'] }
+ */
+function parseRecurrence(text) {
+    if (/\b(daily|every ?day)\b/.test(text)) {
+        return { freq: 'DAILY' };
+    }
+
+    const every = new RegExp(`\\bevery\\s+((?:(?:${WEEKDAY_PATTERN})\\b[\\s,&]*(?:and\\s+)?)+)`).exec(text);
+    const plural = new RegExp('\\b(sundays|mondays|tuesdays|wednesdays|thursdays|fridays|saturdays)\\b', 'g');
+    const names = every
+        ? every[1].match(new RegExp(`\\b(${WEEKDAY_PATTERN})\\b`, 'g'))
+        : text.match(plural);
+
+    if (!names) {
+        return null;
+    }
+
+    const days = [...new Set(names.map(name => WEEKDAYS[name]))]
+        .sort((a, b) => WEEKDAY_INDEX[a] - WEEKDAY_INDEX[b]);
+    return { freq: 'WEEKLY', byDay: days };
+}
+
+/**
+ * First Qatar day on or after `from` that matches a recurrence
+ */
+function firstOccurrence(recurrence, from) {
+    if (!recurrence.byDay) {
+        return startOfQatarDay(from);
+    }
+
+    const days = recurrence.byDay.map(day => WEEKDAY_INDEX[day]);
+    const start = startOfQatarDay(from);
+    for (let offset = 0; offset < 7; offset++) {
+        const candidate = new Date(start.getTime() + offset * DAY_MS);
+        if (days.includes(qatarDateParts(candidate).weekday)) {
+            return candidate;
+        }
+    }
+    return start;
+}
+
+/**
+ * Parse a date or date-range string
+ * @param {string|Date} input - Text from a listing, an ISO string or a Date
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for missing years and open-ended runs
+ * @returns {Object} { start, end, allDay, recurrence, confidence, openStart }
+ *   start/end are Dates or null; end is null for single-day events;
+ *   recurrence is an RRULE string (see utils/recurrence.js) or null; confidence runs from 0 (unknown) to 1;
+ *   openStart is true when start was derived from `now` rather than read from the text
+ */
+function parse(input, { now = new Date() } = {}) {
+    if (input instanceof Date) {
+        return isNaN(input.getTime())
+            ? unknownDate()
+            : { start: input, end: null, allDay: false, recurrence: null, confidence: 1, openStart: false };
+    }
+
+    if (!input || typeof input !== 'string') {
+        return unknownDate();
+    }
+
+    const trimmed = input.trim();
+    if (ISO_DATE.test(trimmed)) {
+        const dateOnly = trimmed.length === 10;
+        const parts = trimmed.substring(0, 10).split('-').map((part, i) => parseInt(part, 10) - (i === 1 ? 1 : 0));
+        if (!isValidDay(...parts)) {
+            return unknownDate();
+        }
+        const start = dateOnly ? qatarTime(...parts) : new Date(trimmed);
+        return isNaN(start.getTime())
+            ? unknownDate()
+            : { start, end: null, allDay: dateOnly, recurrence: null, confidence: 1, openStart: false };
+    }
+
+    const text = normalize(trimmed);
+    const recurrence = parseRecurrence(text);
+    const time = parseTime(text);
+    const mentions = findDateMentions(text);
+    const withTime = day => time
+        ? new Date(day.getTime() + (time.hours * 60 + time.minutes) * 60 * 1000)
+        : day;
+
+    if (mentions.length === 0) {
+        if (!recurrence) {
+            return unknownDate();
+        }
+        return {
+            start: withTime(firstOccurrence(recurrence, now)),
+            end: null,
+            allDay: !time,
+            recurrence: recurrenceRules.buildRule(recurrence),
+            confidence: 0.7,
+            openStart: true
+        };
+    }
+
+    const yearInferred = resolveYears(mentions, now);
+    if (!mentions.every(mention => isValidDay(mention.year, mention.month, mention.day))) {
+        return unknownDate();
+    }
+    const first = mentions[0];
+    const last = mentions[mentions.length - 1];
+    const isRange = mentions.length > 1;
+    // "Until 30 Nov" or "Every Friday until 30 Nov": running now, ending on the given day
+    const openEnded = !isRange &&
+        /\b(until|till|ends?|through|thru)\b/.test(text.substring(0, first.index));
+
+    let startDay;
+    let end = null;
+    let confidence = yearInferred ? 0.8 : 1;
+
+    if (openEnded) {
+        end = endOfQatarDay(first.year, first.month, first.day);
+        startDay = new Date(Math.min(startOfQatarDay(now).getTime(), qatarTime(first.year, first.month, first.day).getTime()));
+        confidence = Math.min(confidence, 0.6);
+    } else {
+        startDay = qatarTime(first.year, first.month, first.day);
+        if (isRange) {
+            end = endOfQatarDay(last.year, last.month, last.day);
+        }
+    }
+
+    if (recurrence) {
+        startDay = firstOccurrence(recurrence, startDay);
+        confidence = Math.min(confidence, 0.7);
+    }
+
+    const start = withTime(startDay);
+    if (end && end < start) {
+        return unknownDate();
+    }
+
+    // Multi-day runs repeat daily until their last day
+    const rule = recurrence || (end ? { freq: 'DAILY' } : null);
+
+    return {
+        start,
+        end,
+        allDay: !time,
+        recurrence: rule ? recurrenceRules.buildRule({ ...rule, until: end }) : null,
+        confidence,
+        openStart: openEnded
+    };
+}
+
+/**
+ * Event fields for a parse result, as scrapers return them
+ */
+function toEventFields(parsed) {
+    return {
+        date: parsed.start ? parsed.start.toISOString() : null,
+        endDate: parsed.end ? parsed.end.toISOString() : null,
+        allDay: parsed.allDay,
+        recurrence: parsed.recurrence,
+        dateConfidence: parsed.confidence,
+        dateUnknown: !parsed.start,
+        dateOpenStart: Boolean(parsed.openStart)
+    };
+}
+
+module.exports = {
+    QATAR_TIMEZONE,
+    parse,
+    toEventFields,
+    qatarTime,
+    startOfQatarDay,
+    qatarDateParts
+};
@@ -1,13 +1,37 @@
 /**
  * Event Aggregator - Combines and normalizes events from multiple sources
- * Now with MongoDB persistence
+ * Now with MongoDB persistence and cross-source canonical events
  */
 
+const crypto = require('crypto');
 const Event = require('../models/Event');
+const CanonicalEvent = require('../models/CanonicalEvent');
+const fixtureMode = require('./fixtureMode');
+const dateParser = require('./dateParser');
+const recurrence = require('./recurrence');
+const priceParser = require('./priceParser');
+const venueMatcher = require('./venueMatcher');
+const geo = require('./geo');
+const eventClusterer = require('./eventClusterer');
+const clusterOverrides = require('./clusterOverrides');
+const textSearch = require('./textSearch');
+const eventPager = require('./eventPager');
+
+// Lifecycle states an event moves through across scrapes
+const LIFECYCLE_STATES = ['active', 'removed', 'cancelled'];
+
+// States served when no status filter is given
+const DEFAULT_STATES = ['active', 'cancelled'];
+
+// Events read from the database per round trip when streaming exports
+const EXPORT_BATCH_SIZE = 200;
 
 class EventAggregator {
     constructor() {
         this.inMemoryEvents = []; // Fallback for when DB is unavailable
+        this.inMemoryCanonicalEvents = new Map(); // canonicalId -> canonical event
+        this.runningRefresh = null; // Canonical refresh in progress
+        this.queuedRefresh = null; // Refresh to run after it, shared by every caller that asks meanwhile
         this.lastUpdate = null;
         this.useDatabase = false;
     }
@@ -34,35 +58,7 @@ class EventAggregator {
         
         if (this.useDatabase) {
             try {
-                // Bulk upsert to database
-                const bulkOps = normalizedEvents.map(event => ({
-                    updateOne: {
-                        filter: { eventId: event.id },
-                        update: {
-                            $set: {
-                                eventId: event.id,
-                                title: event.title,
-                                description: event.description,
-                                date: event.date,
-                                endDate: event.endDate,
-                                time: event.time,
-                                price: event.price,
-                                category: event.category,
-                                venue: event.venue,
-                                organizer: event.organizer,
-                                image: event.image,
-                                link: event.link,
-                                source: event.source
-                            }
-                        },
-                        upsert: true
-                    }
-                }));
-
-                if (bulkOps.length > 0) {
-                    await Event.bulkWrite(bulkOps);
-                    console.log(`Saved ${bulkOps.length} events from ${source} to database`);
-                }
+                await this.saveEvents(normalizedEvents, source);
             } catch (error) {
                 console.error('Error saving events to database:', error.message);
                 // Fallback to in-memory
@@ -76,24 +72,211 @@ class EventAggregator {
         this.lastUpdate = new Date();
     }
 
+    /**
+     * Bulk upsert normalized events to the database
+     */
+    async saveEvents(normalizedEvents, source) {
+        const bulkOps = normalizedEvents.map(event => ({
+            updateOne: {
+                filter: { eventId: event.id },
+                update: {
+                    $set: {
+                        eventId: event.id,
+                        title: event.title,
+                        description: event.description,
+                        date: event.date,
+                        endDate: event.endDate,
+                        allDay: event.allDay,
+                        recurrence: event.recurrence,
+                        recurrenceEnd: event.recurrenceEnd,
+                        dateConfidence: event.dateConfidence,
+                        dateUnknown: event.dateUnknown,
+                        time: event.time,
+                        price: event.price,
+                        priceMin: event.priceMin,
+                        priceMax: event.priceMax,
+                        currency: event.currency,
+                        isFree: event.isFree,
+                        priceKnown: event.priceKnown,
+                        category: event.category,
+                        venue: event.venue,
+                        venueId: event.venueId,
+                        location: event.location,
+                        organizer: event.organizer,
+                        image: event.image,
+                        link: event.link,
+                        source: event.source,
+                        isFixture: event.isFixture,
+                        status: event.status,
+                        contentHash: event.contentHash,
+                        firstSeenAt: event.firstSeenAt,
+                        lastSeenAt: event.lastSeenAt,
+                        lastChangedAt: event.lastChangedAt,
+                        removedAt: event.removedAt,
+                        searchableText: textSearch.searchableText(event)
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        if (bulkOps.length > 0) {
+            await Event.bulkWrite(bulkOps);
+            console.log(`Saved ${bulkOps.length} events from ${source} to database`);
+        }
+    }
+
+    /**
+     * Sync a fresh snapshot of a source against its stored events
+     * Each event is diffed by content hash; events missing from the snapshot
+     * are marked removed instead of deleted. Other sources are not touched.
+     * @returns {Object} counts of new, changed, unchanged, removed and cancelled events
+     */
+    async syncSourceEvents(events, source) {
+        const now = new Date();
+        const normalizedEvents = events.map(event => this.normalizeEvent(event, source));
+        const summary = { new: 0, changed: 0, unchanged: 0, removed: 0, cancelled: 0 };
+
+        const existing = this.useDatabase
+            ? await Event.find({ source })
+                .select('eventId contentHash status firstSeenAt lastChangedAt createdAt')
+                .lean()
+            : this.inMemoryEvents.filter(event => event.source === source)
+                .map(event => ({ ...event, eventId: event.id }));
+        const existingById = new Map(existing.map(event => [event.eventId, event]));
+
+        const upserts = [];
+        for (const event of normalizedEvents) {
+            const previous = existingById.get(event.id);
+            event.contentHash = this.computeContentHash(event);
+            event.status = this.isCancelled(event) ? 'cancelled' : 'active';
+            event.lastSeenAt = now;
+            event.removedAt = null;
+
+            if (!previous) {
+                summary.new++;
+                event.firstSeenAt = now;
+                event.lastChangedAt = now;
+            } else {
+                event.firstSeenAt = previous.firstSeenAt || previous.createdAt || now;
+
+                if (previous.contentHash !== event.contentHash || previous.status !== event.status) {
+                    summary.changed++;
+                    event.lastChangedAt = now;
+                } else {
+                    summary.unchanged++;
+                    event.lastChangedAt = previous.lastChangedAt || event.firstSeenAt;
+                }
+            }
+
+            if (event.status === 'cancelled' && (!previous || previous.status !== 'cancelled')) {
+                summary.cancelled++;
+            }
+            upserts.push(event);
+        }
+
+        // Events this source no longer lists
+        const currentIds = new Set(normalizedEvents.map(event => event.id));
+        const removedIds = existing
+            .filter(event => !currentIds.has(event.eventId) && event.status !== 'removed')
+            .map(event => event.eventId);
+        summary.removed = removedIds.length;
+
+        if (this.useDatabase) {
+            await this.saveEvents(upserts, source);
+
+            if (removedIds.length > 0) {
+                await Event.updateMany(
+                    { eventId: { $in: removedIds } },
+                    { $set: { status: 'removed', removedAt: now } }
+                );
+            }
+        } else {
+            const removed = new Set(removedIds);
+            this.inMemoryEvents = [
+                ...this.inMemoryEvents
+                    .filter(event => !(event.source === source && currentIds.has(event.id)))
+                    .map(event => removed.has(event.id)
+                        ? { ...event, status: 'removed', removedAt: now }
+                        : event),
+                ...upserts
+            ];
+        }
+
+        await this.refreshCanonicalEvents();
+
+        this.lastUpdate = now;
+        console.log(`${source}: ${summary.new} new, ${summary.changed} changed, ` +
+            `${summary.unchanged} unchanged, ${summary.removed} removed, ${summary.cancelled} cancelled`);
+        return summary;
+    }
+
+    /**
+     * Hash the scraped content of a normalized event
+     * A start derived from the scrape day ("Until 30 Nov") is left out, as it moves every day
+     */
+    computeContentHash(event) {
+        const content = [
+            event.title,
+            event.description,
+            event.date && !event.dateOpenStart ? new Date(event.date).toISOString() : '',
+            event.endDate ? new Date(event.endDate).toISOString() : '',
+            event.time,
+            event.price,
+            event.category,
+            event.venue,
+            event.organizer,
+            event.image,
+            event.link
+        ].join('\u0000');
+
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    /**
+     * Check whether a source marks the event as cancelled or postponed
+     */
+    isCancelled(event) {
+        return /\b(cancell?ed|postponed)\b/i.test(event.title) ||
+            /\b(has been|is|was) (cancell?ed|postponed)\b/i.test(event.description);
+    }
+
     /**
      * Normalize event data to a consistent format
      */
     normalizeEvent(event, source) {
+        const venue = venueMatcher.match(event.venue);
+        const parsedDate = dateParser.parse(event.date);
+        const endDate = event.endDate ? dateParser.parse(event.endDate).start : parsedDate.end;
+        const allDay = event.allDay ?? parsedDate.allDay;
+        const rule = event.recurrence || parsedDate.recurrence;
+
         return {
             id: `${source}-${event.id || this.generateId(event.title)}`,
             title: event.title || 'Untitled Event',
             description: event.description || '',
-            date: this.parseDate(event.date),
-            endDate: event.endDate ? this.parseDate(event.endDate) : null,
+            date: parsedDate.start,
+            endDate: endDate || null,
+            allDay,
+            recurrence: rule,
+            recurrenceEnd: rule
+                ? recurrence.seriesEnd({ date: parsedDate.start, allDay, recurrence: rule })
+                : null,
+            dateConfidence: event.dateConfidence ?? parsedDate.confidence,
+            dateUnknown: !parsedDate.start,
+            dateOpenStart: event.dateOpenStart ?? parsedDate.openStart,
             time: event.time || '',
-            price: event.price || 'Free',
+            price: event.price || '',
+            ...priceParser.parse(event.price),
             category: event.category || 'General',
             image: event.image || '',
             link: event.link || '',
             source: source,
             venue: event.venue || '',
-            organizer: event.organizer || ''
+            venueId: venue ? venue.slug : null,
+            location: venue && venue.lat !== null ? geo.toPoint(venue.lat, venue.lng) : null,
+            organizer: event.organizer || '',
+            isFixture: Boolean(event.isFixture)
         };
     }
 
@@ -105,125 +288,372 @@ class EventAggregator {
     }
 
     /**
-     * Parse date string to Date object
+     * Parse a status query value into a list of lifecycle states
+     * @param {string} value - e.g. 'active', 'removed,cancelled' or 'all'
+     * @returns {Array|null|undefined} states, null for all, undefined for the default
      */
-    parseDate(dateString) {
-        if (!dateString) return new Date();
+    parseStatus(value) {
+        if (!value) return undefined;
+        if (value === 'all') return null;
 
-        let date = new Date(dateString);
-        const currentYear = new Date().getFullYear();
+        const statuses = value.split(',').map(status => status.trim().toLowerCase());
+        const invalid = statuses.filter(status => !LIFECYCLE_STATES.includes(status));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid status: ${invalid.join(', ')}. Expected ${LIFECYCLE_STATES.join(', ')} or all`);
+        }
+        return statuses;
+    }
 
-        // If parsing fails or returns an old default year (like 2001), try to fix it
-        if (isNaN(date.getTime()) || date.getFullYear() < currentYear - 1) {
-            // Try appending current year
-            if (typeof dateString === 'string') {
-                // Clean the string first
-                const cleanDate = dateString.replace(/,?\s*\d{4}.*$/, '');
-                date = new Date(`${cleanDate}, ${currentYear}`);
-            }
+    /**
+     * Build a database filter for events visible through the API
+     * Fixture events are hidden unless fixture mode is on
+     * @param {Object} options
+     * @param {Array|null} [options.status] - Lifecycle states (default: active and cancelled, null for all)
+     * @param {Date} [options.firstSeenAfter] - Only events first seen on or after this date
+     * @param {boolean} [options.includeDuplicates] - Also return non-primary members of a cluster
+     * @param {string} [options.category] - Only this category (case-insensitive)
+     * @param {string} [options.source] - Only events from this source
+     * @param {string} [options.venueId] - Only events at this venue
+     * @param {string} [options.search] - Only events matching any of these words, the last as a prefix
+     * @param {boolean} [options.free] - Only free events, or only events that aren't free
+     * @param {number} [options.maxPrice] - Only events with a known lowest price at or below this in QAR
+     */
+    buildFilter(options = {}) {
+        const filter = {};
+
+        if (!options.includeDuplicates) {
+            filter.isPrimary = { $ne: false };
         }
 
-        if (!isNaN(date.getTime())) {
-            // If the date is still way in the past (e.g. 2001), force it to current year
-            if (date.getFullYear() < currentYear - 1) {
-                date.setFullYear(currentYear);
-            }
+        if (!fixtureMode.isEnabled()) {
+            filter.isFixture = { $ne: true };
+        }
 
-            // Handle year transition (e.g. scraping "January 1" in December)
-            const now = new Date();
-            const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        const statuses = options.status === undefined ? DEFAULT_STATES : options.status;
+        if (statuses) {
+            // Events stored before lifecycle tracking have no status and count as active
+            filter.status = { $in: statuses.includes('active') ? [...statuses, null] : statuses };
+        }
 
-            // If date is more than 30 days in the past, assume it's for next year
-            if (date < thirtyDaysAgo) {
-                date.setFullYear(date.getFullYear() + 1);
-            }
+        if (options.firstSeenAfter) {
+            filter.firstSeenAt = { $gte: options.firstSeenAfter };
+        }
+
+        if (options.category) {
+            filter.category = new RegExp(`^${textSearch.escapeRegExp(options.category)}$`, 'i');
+        }
+
+        if (options.source) {
+            filter.source = options.source;
+        }
+
+        if (options.venueId) {
+            filter.venueId = options.venueId;
+        }
+
+        const terms = textSearch.parseQuery(options.search, { prefix: true });
+        if (terms.length > 0) {
+            filter.searchableText = textSearch.mongoRegex(terms);
+        }
+
+        if (options.free !== undefined) {
+            filter.mergedIsFree = options.free ? true : { $ne: true };
+        }
 
-            return date;
+        if (options.maxPrice !== undefined) {
+            filter.mergedMinPriceQar = { $lte: options.maxPrice };
         }
 
-        return new Date();
+        return filter;
+    }
+
+    /**
+     * In-memory equivalent of buildFilter
+     */
+    matchesFilter(event, options = {}) {
+        if (!options.includeDuplicates && event.isPrimary === false) {
+            return false;
+        }
+
+        if (event.isFixture && !fixtureMode.isEnabled()) {
+            return false;
+        }
+
+        const statuses = options.status === undefined ? DEFAULT_STATES : options.status;
+        if (statuses && !statuses.includes(event.status || 'active')) {
+            return false;
+        }
+
+        if (options.firstSeenAfter &&
+            !(event.firstSeenAt && new Date(event.firstSeenAt) >= options.firstSeenAfter)) {
+            return false;
+        }
+
+        if (options.category && (event.category || '').toLowerCase() !== options.category.toLowerCase()) {
+            return false;
+        }
+
+        if (options.source && event.source !== options.source) {
+            return false;
+        }
+
+        if (options.venueId && event.venueId !== options.venueId) {
+            return false;
+        }
+
+        const terms = textSearch.parseQuery(options.search, { prefix: true });
+        if (terms.length > 0 && textSearch.score(event, terms) === 0) {
+            return false;
+        }
+
+        if (options.free !== undefined && Boolean(event.mergedIsFree) !== options.free) {
+            return false;
+        }
+
+        if (options.maxPrice !== undefined &&
+            (typeof event.mergedMinPriceQar !== 'number' || event.mergedMinPriceQar > options.maxPrice)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * In-memory events that should be visible through the API
+     */
+    getVisibleInMemoryEvents(options = {}) {
+        return this.inMemoryEvents.filter(event => this.matchesFilter(event, options));
     }
 
     /**
      * Get all events
      */
-    async getAllEvents() {
+    async getAllEvents(options = {}) {
         if (this.useDatabase) {
             try {
-                const events = await Event.find({}).sort({ date: 1 }).lean();
-                return this.convertDbEventsToFormat(events);
+                const events = await Event.find(this.buildFilter(options)).sort({ dateUnknown: 1, date: 1 }).lean();
+                return this.applyCanonical(this.convertDbEventsToFormat(events));
             } catch (error) {
                 console.error('Error fetching events from database:', error.message);
-                return this.removeDuplicates(this.inMemoryEvents).sort((a, b) =>
-                    new Date(a.date) - new Date(b.date)
-                );
+                return this.applyCanonical(this.sortByDate(this.getVisibleInMemoryEvents(options)));
             }
         }
         
-        return this.removeDuplicates(this.inMemoryEvents).sort((a, b) =>
-            new Date(a.date) - new Date(b.date)
+        return this.applyCanonical(this.sortByDate(this.getVisibleInMemoryEvents(options)));
+    }
+
+    /**
+     * Get one page of events, sorted and paged in the database
+     * Within a window, one-off events are paged in the database. Recurring
+     * events sort by their next occurrence, which isn't stored, so those
+     * running in the window are expanded in memory and merged into the page.
+     * @param {Object} options - buildFilter options
+     * @param {Object} page - { sort: 'date' | 'newest' | 'price', cursor (decoded key or null), limit }
+     * @param {Object|null} [window] - { from, to }, only events happening in this window
+     * @returns {Object} { total, events, nextCursor }
+     */
+    async getEventsPage(options, { sort, cursor, limit }, window = null) {
+        if (this.useDatabase) {
+            try {
+                const filter = this.buildFilter(options);
+                const oneOffFilter = window
+                    ? Event.dateRangeFilter(window.from, window.to, { $and: [filter, { recurrence: null }] })
+                    : filter;
+                const pageFilter = cursor ? { $and: [oneOffFilter, eventPager.mongoAfter(sort, cursor)] } : oneOffFilter;
+
+                const [oneOffTotal, oneOffs, recurringEvents] = await Promise.all([
+                    Event.countDocuments(oneOffFilter),
+                    this.findPageEvents(pageFilter, sort, limit),
+                    window
+                        ? Event.find(Event.dateRangeFilter(window.from, window.to, {
+                            $and: [filter, { recurrence: { $ne: null } }]
+                        })).lean()
+                        : []
+                ]);
+
+                const recurring = window
+                    ? this.expandOccurrences(this.convertDbEventsToFormat(recurringEvents), window.from, window.to)
+                    : [];
+                const page = eventPager.paginate(
+                    [...this.convertDbEventsToFormat(oneOffs), ...recurring],
+                    { sort, cursor, limit }
+                );
+                return {
+                    total: oneOffTotal + recurring.length,
+                    events: await this.applyCanonical(page.events),
+                    nextCursor: page.nextCursor
+                };
+            } catch (error) {
+                console.error('Error fetching page of events:', error.message);
+            }
+        }
+
+        const events = this.getVisibleInMemoryEvents(options);
+        const page = eventPager.paginate(
+            window ? this.expandOccurrences(events, window.from, window.to) : events,
+            { sort, cursor, limit }
         );
+        return { ...page, events: await this.applyCanonical(page.events) };
     }
 
     /**
-     * Get events for today
+     * Read up to limit + 1 events in sort order, one extra telling whether there is a next page
+     * Sorts that put missing values last are read in segments, see eventPager.MONGO_SORTS
      */
-    async getTodayEvents() {
-        const now = new Date();
-        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
+    async findPageEvents(filter, sort, limit) {
+        const events = [];
+        for (const segment of eventPager.MONGO_SORTS[sort]) {
+            if (events.length > limit) {
+                break;
+            }
+            events.push(...await Event.find({ $and: [filter, segment.filter] })
+                .sort(segment.sort)
+                .limit(limit + 1 - events.length)
+                .lean());
+        }
+        return events;
+    }
+
+    /**
+     * Date window of a named range, or null for 'all' and unknown ranges
+     * "Today" is the calendar day in Qatar, whatever the server's timezone
+     * @param {string} range - 'today' | 'week' | 'month'
+     * @returns {Object|null} { from, to }
+     */
+    getRangeWindow(range, now = new Date()) {
+        const dayMs = 24 * 60 * 60 * 1000;
 
-        return this.filterByDateRange(startOfDay, endOfDay);
+        switch (range) {
+            case 'today': {
+                const from = dateParser.startOfQatarDay(now);
+                return { from, to: new Date(from.getTime() + dayMs - 1) };
+            }
+            case 'week':
+                return { from: now, to: new Date(now.getTime() + 7 * dayMs) };
+            case 'month':
+                return { from: now, to: new Date(now.getTime() + 30 * dayMs) };
+            default:
+                return null;
+        }
     }
 
     /**
-     * Get events for current week
+     * Get events for today
      */
-    async getWeekEvents() {
-        const now = new Date();
-        const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    async getTodayEvents(options = {}) {
+        const { from, to } = this.getRangeWindow('today');
+        return this.filterByDateRange(from, to, options);
+    }
 
-        return this.filterByDateRange(now, weekFromNow);
+    /**
+     * Get events for current week
+     */
+    async getWeekEvents(options = {}) {
+        const { from, to } = this.getRangeWindow('week');
+        return this.filterByDateRange(from, to, options);
     }
 
     /**
      * Get events for upcoming month
      */
-    async getMonthEvents() {
-        const now = new Date();
-        const monthFromNow = new Date(now.getTime() + 30 * 24 * 60 * 60 * 1000);
+    async getMonthEvents(options = {}) {
+        const { from, to } = this.getRangeWindow('month');
+        return this.filterByDateRange(from, to, options);
+    }
+
+    /**
+     * Stream matching events in batches, sorted by start date
+     * Reads from a database cursor so the whole result set is never held in
+     * memory. Unlike the other getters there is no in-memory fallback once
+     * the database is in use, since part of the stream may have been sent.
+     * @param {Object} options - buildFilter options
+     * @param {Object|null} [window] - { from, to }, only events happening in this window
+     * @yields {Array} Batches of events with canonical fields applied
+     */
+    async *streamEvents(options = {}, window = null) {
+        const prepare = batch => {
+            const events = window
+                ? batch.filter(event => recurrence.occurrencesBetween(event, window.from, window.to).length > 0)
+                : batch;
+            return this.applyCanonical(events);
+        };
+
+        if (!this.useDatabase) {
+            const events = this.sortByDate(this.getVisibleInMemoryEvents(options));
+            for (let i = 0; i < events.length; i += EXPORT_BATCH_SIZE) {
+                yield await prepare(events.slice(i, i + EXPORT_BATCH_SIZE));
+            }
+            return;
+        }
 
-        return this.filterByDateRange(now, monthFromNow);
+        const filter = this.buildFilter(options);
+        const query = window
+            ? Event.findByDateRange(window.from, window.to, filter)
+            : Event.find(filter);
+        const cursor = query
+            .sort({ dateUnknown: 1, date: 1, eventId: 1 })
+            .lean()
+            .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+        let batch = [];
+        for await (const doc of cursor) {
+            batch.push(doc);
+            if (batch.length === EXPORT_BATCH_SIZE) {
+                yield await prepare(this.convertDbEventsToFormat(batch));
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            yield await prepare(this.convertDbEventsToFormat(batch));
+        }
     }
 
     /**
      * Filter events by date range
      */
-    async filterByDateRange(startDate, endDate) {
+    async filterByDateRange(startDate, endDate, options = {}) {
         if (this.useDatabase) {
             try {
-                const events = await Event.findByDateRange(startDate, endDate).lean();
-                return this.convertDbEventsToFormat(events);
+                const events = await Event.findByDateRange(startDate, endDate, this.buildFilter(options)).lean();
+                return this.applyCanonical(
+                    this.expandOccurrences(this.convertDbEventsToFormat(events), startDate, endDate)
+                );
             } catch (error) {
                 console.error('Error filtering events by date:', error.message);
                 // Fallback to in-memory
-                const filtered = this.inMemoryEvents.filter(event => {
-                    const eventDate = new Date(event.date);
-                    return eventDate >= startDate && eventDate <= endDate;
-                });
-                return this.removeDuplicates(filtered).sort((a, b) =>
-                    new Date(a.date) - new Date(b.date)
+                return this.applyCanonical(
+                    this.expandOccurrences(this.getVisibleInMemoryEvents(options), startDate, endDate)
                 );
             }
         }
 
-        const filtered = this.inMemoryEvents.filter(event => {
-            const eventDate = new Date(event.date);
-            return eventDate >= startDate && eventDate <= endDate;
-        });
+        return this.applyCanonical(
+            this.expandOccurrences(this.getVisibleInMemoryEvents(options), startDate, endDate)
+        );
+    }
+
+    /**
+     * Keep events that happen within a date range, sorted by when they next happen
+     * Events match when their [date, endDate] interval overlaps the range.
+     * Recurring events match on any occurrence and carry the occurrences in
+     * the range plus nextOccurrence.
+     */
+    expandOccurrences(events, startDate, endDate) {
+        const matched = [];
+
+        for (const event of events) {
+            const occurrences = recurrence.occurrencesBetween(event, startDate, endDate);
+            if (occurrences.length === 0) {
+                continue;
+            }
+
+            matched.push(event.recurrence
+                ? { ...event, occurrences, nextOccurrence: occurrences[0].start }
+                : event);
+        }
 
-        return this.removeDuplicates(filtered).sort((a, b) =>
-            new Date(a.date) - new Date(b.date)
+        return matched.sort((a, b) =>
+            new Date(a.nextOccurrence || a.date) - new Date(b.nextOccurrence || b.date)
         );
     }
 
@@ -236,173 +666,523 @@ class EventAggregator {
             title: event.title,
             description: event.description,
             date: event.date,
-            dateDisplay: new Date(event.date).toLocaleDateString('en-US', {
-                weekday: 'short',
-                month: 'short',
-                day: 'numeric',
-                year: 'numeric'
-            }),
+            dateDisplay: this.formatDateDisplay(event),
             endDate: event.endDate,
+            allDay: Boolean(event.allDay),
+            recurrence: event.recurrence || null,
+            recurrenceEnd: event.recurrenceEnd || null,
+            dateConfidence: event.dateConfidence ?? 1,
+            dateUnknown: Boolean(event.dateUnknown),
             time: event.time,
             price: event.price,
+            priceMin: event.priceMin ?? null,
+            priceMax: event.priceMax ?? null,
+            currency: event.currency || null,
+            isFree: Boolean(event.isFree),
+            priceKnown: Boolean(event.priceKnown),
             category: event.category,
             venue: event.venue,
+            venueId: event.venueId || null,
+            location: event.location || null,
             organizer: event.organizer,
             image: event.image,
             link: event.link,
-            source: event.source
+            source: event.source,
+            isFixture: Boolean(event.isFixture),
+            status: event.status || 'active',
+            firstSeenAt: event.firstSeenAt,
+            lastSeenAt: event.lastSeenAt,
+            lastChangedAt: event.lastChangedAt,
+            removedAt: event.removedAt,
+            canonicalId: event.canonicalId || null,
+            isPrimary: event.isPrimary !== false,
+            mergedMinPriceQar: event.mergedMinPriceQar ?? null
         }));
     }
 
     /**
-     * Remove duplicate events based on title and date similarity
-     * Enhanced to handle cross-website duplicates better
+     * Human-readable date, or date range for multi-day events
      */
-    removeDuplicates(events) {
-        const seen = new Map();
-        const result = [];
+    formatDateDisplay(event) {
+        if (!event.date) {
+            return 'Date to be announced';
+        }
 
-        for (const event of events) {
-            // Normalize title for better matching
-            const normalizedTitle = this.normalizeTitle(event.title);
-            const eventDate = new Date(event.date);
-            const dateKey = eventDate.toDateString();
+        const format = date => new Date(date).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            year: 'numeric',
+            timeZone: dateParser.QATAR_TIMEZONE
+        });
 
-            // Create a key based on normalized title and date
-            const key = `${normalizedTitle}-${dateKey}`;
+        return event.endDate ? `${format(event.date)} - ${format(event.endDate)}` : format(event.date);
+    }
 
-            // Check if we've seen this exact match
-            if (seen.has(key)) {
-                // Skip this duplicate
-                continue;
-            }
+    /**
+     * Sort events by start date, unknown dates last
+     */
+    sortByDate(events) {
+        // Events with an unknown date go last
+        return [...events].sort((a, b) =>
+            (a.date ? 0 : 1) - (b.date ? 0 : 1) || new Date(a.date) - new Date(b.date)
+        );
+    }
 
-            // Check for similar events (fuzzy matching)
-            let isDuplicate = false;
-            for (const [seenKey, seenEvent] of seen.entries()) {
-                if (this.areEventsSimilar(event, seenEvent)) {
-                    isDuplicate = true;
-                    break;
+    /**
+     * Recompute canonical events by clustering records across sources
+     * Non-primary cluster members are hidden from listings; the primary record
+     * is served with the merged fields of its canonical event
+     *
+     * Refreshes run one at a time, so one built from an older snapshot can't
+     * overwrite or delete what a newer one saved. Requests made while a refresh
+     * runs share a single follow-up refresh, which reads the newer records.
+     * @returns {Promise} resolves once a refresh started after this call has finished
+     */
+    refreshCanonicalEvents() {
+        if (this.queuedRefresh) {
+            return this.queuedRefresh;
+        }
+
+        const refresh = (this.runningRefresh || Promise.resolve())
+            .catch(() => {})
+            .then(() => {
+                this.queuedRefresh = null;
+                this.runningRefresh = refresh;
+                return this.rebuildCanonicalEvents();
+            })
+            .finally(() => {
+                if (this.runningRefresh === refresh) {
+                    this.runningRefresh = null;
                 }
+            });
+
+        this.queuedRefresh = refresh;
+        return refresh;
+    }
+
+    /**
+     * Cluster the current records and save the canonical events, see refreshCanonicalEvents
+     */
+    async rebuildCanonicalEvents() {
+        // Read the overrides first, so the records are as recent as possible
+        const overrides = await clusterOverrides.getRules();
+
+        let records;
+        try {
+            records = this.useDatabase
+                ? this.convertDbEventsToFormat(await Event.find({ status: { $ne: 'removed' } }).lean())
+                : this.inMemoryEvents.filter(event => event.status !== 'removed');
+        } catch (error) {
+            console.error('Error loading events for clustering:', error.message);
+            return;
+        }
+
+        const clusters = eventClusterer.cluster(records, overrides);
+        const canonicals = clusters.map(members => eventClusterer.buildCanonical(members));
+
+        // Record which cluster each source record belongs to, and the price it is listed with
+        const assignments = new Map();
+        for (const [index, canonical] of canonicals.entries()) {
+            for (const record of clusters[index]) {
+                assignments.set(record.id, {
+                    canonicalId: canonical.canonicalId,
+                    isPrimary: record.id === canonical.primaryEventId,
+                    ...this.mergedPriceFields(canonical.price ? priceParser.parse(canonical.price) : record)
+                });
             }
+        }
 
-            if (!isDuplicate) {
-                seen.set(key, event);
-                result.push(event);
+        if (this.useDatabase) {
+            try {
+                await this.saveCanonicalEvents(canonicals, assignments);
+            } catch (error) {
+                // Source records are already saved; clusters catch up on the next sync
+                console.error('Error saving canonical events:', error.message);
+                return;
             }
+        } else {
+            this.inMemoryCanonicalEvents = new Map(
+                canonicals.map(canonical => [canonical.canonicalId, canonical])
+            );
+            // No await since the snapshot was read, so every record not assigned here is removed
+            this.inMemoryEvents = this.inMemoryEvents.map(event => ({
+                ...event,
+                ...(assignments.get(event.id) || { canonicalId: null, isPrimary: true, ...this.mergedPriceFields(event) })
+            }));
         }
 
-        return result;
+        const merged = canonicals.filter(canonical => canonical.members.length > 1).length;
+        console.log(`Canonical events: ${canonicals.length} clusters (${merged} merged across sources)`);
     }
 
     /**
-     * Normalize title for better duplicate detection
+     * Price filter fields for the price an event is listed with (see applyCanonical)
      */
-    normalizeTitle(title) {
-        return title
-            .toLowerCase()
-            .trim()
-            // Remove special characters
-            .replace(/[^\w\s]/g, '')
-            // Remove extra whitespace
-            .replace(/\s+/g, ' ')
-            // Remove common words that don't help matching
-            .replace(/\b(the|a|an|in|at|on|for)\b/g, '')
-            .trim();
+    mergedPriceFields(price) {
+        return {
+            mergedMinPriceQar: priceParser.minPriceInQar(price),
+            mergedIsFree: Boolean(price.isFree)
+        };
     }
 
     /**
-     * Check if two events are similar (likely duplicates)
+     * Persist canonical events and cluster assignments
      */
-    areEventsSimilar(event1, event2) {
-        // Must be on the same date
-        const date1 = new Date(event1.date).toDateString();
-        const date2 = new Date(event2.date).toDateString();
-        if (date1 !== date2) {
-            return false;
+    async saveCanonicalEvents(canonicals, assignments) {
+        if (canonicals.length > 0) {
+            await CanonicalEvent.bulkWrite(canonicals.map(canonical => ({
+                replaceOne: {
+                    filter: { canonicalId: canonical.canonicalId },
+                    replacement: canonical,
+                    upsert: true
+                }
+            })));
         }
 
-        // Compare normalized titles
-        const title1 = this.normalizeTitle(event1.title);
-        const title2 = this.normalizeTitle(event2.title);
+        await CanonicalEvent.deleteMany({
+            canonicalId: { $nin: canonicals.map(canonical => canonical.canonicalId) }
+        });
+
+        const eventOps = Array.from(assignments.entries()).map(([eventId, assignment]) => ({
+            updateOne: {
+                filter: { eventId },
+                update: { $set: assignment }
+            }
+        }));
 
-        // Exact match after normalization
-        if (title1 === title2) {
-            return true;
+        if (eventOps.length > 0) {
+            await Event.bulkWrite(eventOps);
         }
 
-        // Check if one title contains the other (substring match)
-        if (title1.includes(title2) || title2.includes(title1)) {
-            return true;
+        // Removed records leave their clusters
+        await Event.updateMany(
+            { status: 'removed', canonicalId: { $ne: null } },
+            { $set: { canonicalId: null, isPrimary: true } }
+        );
+    }
+
+    /**
+     * Overlay merged canonical fields and contributing sources onto events
+     */
+    async applyCanonical(events) {
+        const canonicalIds = [...new Set(events.map(event => event.canonicalId).filter(Boolean))];
+        let canonicals = [];
+
+        if (this.useDatabase) {
+            try {
+                canonicals = await CanonicalEvent.find({ canonicalId: { $in: canonicalIds } }).lean();
+            } catch (error) {
+                console.error('Error fetching canonical events:', error.message);
+            }
+        } else {
+            canonicals = canonicalIds
+                .map(id => this.inMemoryCanonicalEvents.get(id))
+                .filter(Boolean);
         }
 
-        // Calculate similarity score (Levenshtein-like)
-        const similarity = this.calculateSimilarity(title1, title2);
+        const canonicalById = new Map(canonicals.map(canonical => [canonical.canonicalId, canonical]));
+
+        return events.map(event => {
+            const canonical = canonicalById.get(event.canonicalId);
+            if (!canonical) {
+                return {
+                    ...event,
+                    sources: [{ source: event.source, link: event.link, eventId: event.id }]
+                };
+            }
 
-        // If titles are more than 80% similar, consider them duplicates
-        return similarity > 0.8;
+            const merged = { ...event };
+            for (const field of Object.keys(eventClusterer.rules.fields)) {
+                if (canonical[field]) {
+                    merged[field] = canonical[field];
+                }
+            }
+
+            // Keep the parsed price fields in step with the merged price
+            if (merged.price !== event.price) {
+                Object.assign(merged, priceParser.parse(merged.price));
+            }
+
+            merged.fieldSources = canonical.fieldSources instanceof Map
+                ? Object.fromEntries(canonical.fieldSources)
+                : canonical.fieldSources;
+            merged.sources = canonical.members.map(member => ({
+                source: member.source,
+                link: member.link,
+                eventId: member.eventId
+            }));
+            return merged;
+        });
     }
 
     /**
-     * Calculate similarity between two strings (0 to 1)
+     * Get source records by event ID, including duplicates and removed events
      */
-    calculateSimilarity(str1, str2) {
-        const longer = str1.length > str2.length ? str1 : str2;
-        const shorter = str1.length > str2.length ? str2 : str1;
-
-        if (longer.length === 0) {
-            return 1.0;
+    async getEventsByIds(ids) {
+        if (this.useDatabase) {
+            try {
+                const events = await Event.find({ eventId: { $in: ids } }).lean();
+                return this.convertDbEventsToFormat(events);
+            } catch (error) {
+                console.error('Error fetching events by ID:', error.message);
+            }
         }
 
-        // Count matching characters
-        let matches = 0;
-        const shorterWords = shorter.split(' ');
-        const longerWords = longer.split(' ');
+        return this.inMemoryEvents.filter(event => ids.includes(event.id));
+    }
 
-        for (const word of shorterWords) {
-            if (longerWords.includes(word) && word.length > 2) {
-                matches += word.length;
+    /**
+     * Get a single event with its canonical fields applied, or null if it does not exist
+     * Removed events and cluster duplicates are still returned; hidden fixtures are not
+     */
+    async getEvent(id) {
+        const events = (await this.getEventsByIds([id]))
+            .filter(event => this.matchesFilter(event, { status: null, includeDuplicates: true }));
+        const [event] = await this.applyCanonical(events);
+        return event || null;
+    }
+
+    /**
+     * Get a canonical event with its members, or null if it does not exist
+     */
+    async getCanonicalEvent(canonicalId) {
+        if (this.useDatabase) {
+            try {
+                const canonical = await CanonicalEvent.findOne({ canonicalId }).lean();
+                if (canonical) {
+                    const { _id, __v, ...fields } = canonical;
+                    return fields;
+                }
+                return null;
+            } catch (error) {
+                console.error('Error fetching canonical event:', error.message);
             }
         }
 
-        return matches / longer.length;
+        return this.inMemoryCanonicalEvents.get(canonicalId) || null;
     }
 
     /**
      * Get events by category
      */
-    async getEventsByCategory(category) {
+    async getEventsByCategory(category, options = {}) {
         if (this.useDatabase) {
             try {
-                const events = await Event.findByCategory(category).lean();
-                return this.convertDbEventsToFormat(events);
+                const events = await Event.findByCategory(category, this.buildFilter(options)).lean();
+                return this.applyCanonical(this.convertDbEventsToFormat(events));
             } catch (error) {
                 console.error('Error fetching events by category:', error.message);
-                const allEvents = await this.getAllEvents();
+                const allEvents = await this.getAllEvents(options);
                 return allEvents.filter(event =>
                     event.category.toLowerCase() === category.toLowerCase()
                 );
             }
         }
 
-        const allEvents = await this.getAllEvents();
+        const allEvents = await this.getAllEvents(options);
         return allEvents.filter(event =>
             event.category.toLowerCase() === category.toLowerCase()
         );
     }
 
+    /**
+     * Get events at a venue
+     */
+    async getEventsByVenue(venueId, options = {}) {
+        if (this.useDatabase) {
+            try {
+                const events = await Event.find({ ...this.buildFilter(options), venueId })
+                    .sort({ dateUnknown: 1, date: 1 })
+                    .lean();
+                return this.applyCanonical(this.convertDbEventsToFormat(events));
+            } catch (error) {
+                console.error('Error fetching events by venue:', error.message);
+            }
+        }
+
+        const events = this.getVisibleInMemoryEvents(options).filter(event => event.venueId === venueId);
+        return this.applyCanonical(this.sortByDate(events));
+    }
+
+    /**
+     * Full-text search over title, venue and description, best matches first
+     * @param {string} query
+     * @param {Object} options - buildFilter options plus:
+     * @param {number} [options.page] - Page number, from 1
+     * @param {number} [options.limit] - Results per page
+     * @param {boolean} [options.prefix] - Match the last term as a word prefix (typeahead)
+     * @returns {Object} { total, events } with a score and snippet on each event
+     */
+    async search(query, options = {}) {
+        const { page = 1, limit = 20, prefix = false } = options;
+        const terms = textSearch.parseQuery(query, { prefix });
+        const skip = (page - 1) * limit;
+
+        if (terms.length === 0) {
+            return { total: 0, events: [] };
+        }
+
+        if (this.useDatabase) {
+            try {
+                const { total, events } = prefix
+                    ? await this.searchByPattern(terms, skip, limit, options)
+                    : await this.searchByTextIndex(terms, skip, limit, options);
+                return { total, events: await this.withSnippets(events, terms) };
+            } catch (error) {
+                console.error('Error searching events:', error.message);
+            }
+        }
+
+        const ranked = this.rankBySearchScore(this.getVisibleInMemoryEvents(options), terms);
+        return {
+            total: ranked.length,
+            events: await this.withSnippets(ranked.slice(skip, skip + limit), terms)
+        };
+    }
+
+    /**
+     * Search the weighted text index, paginated in MongoDB
+     */
+    async searchByTextIndex(terms, skip, limit, options) {
+        const filter = {
+            ...this.buildFilter(options),
+            $text: { $search: terms.map(({ term }) => term).join(' ') }
+        };
+
+        const [total, events] = await Promise.all([
+            Event.countDocuments(filter),
+            Event.find(filter, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' }, date: 1 })
+                .skip(skip)
+                .limit(limit)
+                .lean()
+        ]);
+
+        const scores = new Map(events.map(event => [event.eventId, event.score]));
+        return {
+            total,
+            events: this.convertDbEventsToFormat(events).map(event => ({
+                ...event,
+                score: scores.get(event.id)
+            }))
+        };
+    }
+
+    /**
+     * Search searchableText with a regex, for prefix terms the text index can't match
+     */
+    async searchByPattern(terms, skip, limit, options) {
+        const events = await Event.find({
+            ...this.buildFilter(options),
+            searchableText: textSearch.mongoRegex(terms)
+        }).lean();
+
+        const ranked = this.rankBySearchScore(this.convertDbEventsToFormat(events), terms);
+        return { total: ranked.length, events: ranked.slice(skip, skip + limit) };
+    }
+
+    /**
+     * Score events against the query terms, dropping non-matches
+     * Ties are broken by date
+     */
+    rankBySearchScore(events, terms) {
+        const scored = events
+            .map(event => ({ ...event, score: textSearch.score(event, terms) }))
+            .filter(event => event.score > 0);
+
+        return this.sortByDate(scored).sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Apply canonical fields and add highlighted snippets to search results
+     */
+    async withSnippets(events, terms) {
+        const merged = await this.applyCanonical(events);
+        return merged.map(event => ({
+            ...event,
+            score: Math.round(event.score * 100) / 100,
+            snippet: textSearch.snippet(event, terms)
+        }));
+    }
+
+    /**
+     * Distances to events within a radius of a point
+     * @param {Object} point - GeoJSON point
+     * @param {number} radiusKm
+     * @returns {Map} event ID -> distance in km
+     */
+    async getDistancesNear(point, radiusKm, options = {}) {
+        if (this.useDatabase) {
+            try {
+                const matches = await Event.aggregate([
+                    {
+                        $geoNear: {
+                            near: point,
+                            distanceField: 'distance',
+                            maxDistance: radiusKm * 1000,
+                            query: this.buildFilter(options),
+                            spherical: true
+                        }
+                    },
+                    { $project: { eventId: 1, distance: 1 } }
+                ]);
+                return new Map(matches.map(match => [match.eventId, match.distance / 1000]));
+            } catch (error) {
+                console.error('Error running geo query:', error.message);
+            }
+        }
+
+        const distances = new Map();
+        for (const event of this.getVisibleInMemoryEvents(options)) {
+            if (!event.location) continue;
+
+            const distance = geo.distanceKm(point, event.location);
+            if (distance <= radiusKm) {
+                distances.set(event.id, distance);
+            }
+        }
+        return distances;
+    }
+
+    /**
+     * Count visible events per venue
+     * @returns {Object} venueId -> count
+     */
+    async getVenueEventCounts(options = {}) {
+        if (this.useDatabase) {
+            try {
+                const counts = await Event.aggregate([
+                    { $match: { ...this.buildFilter(options), venueId: { $ne: null } } },
+                    { $group: { _id: '$venueId', count: { $sum: 1 } } }
+                ]);
+                return Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+            } catch (error) {
+                console.error('Error counting events by venue:', error.message);
+            }
+        }
+
+        const counts = {};
+        for (const event of this.getVisibleInMemoryEvents(options)) {
+            if (event.venueId) {
+                counts[event.venueId] = (counts[event.venueId] || 0) + 1;
+            }
+        }
+        return counts;
+    }
+
     /**
      * Get all unique categories
      */
     async getCategories() {
         if (this.useDatabase) {
             try {
-                return await Event.getCategories();
+                return await Event.getCategories(this.buildFilter());
             } catch (error) {
                 console.error('Error fetching categories:', error.message);
                 // Fallback to in-memory
                 const categories = new Set();
-                this.inMemoryEvents.forEach(event => {
+                this.getVisibleInMemoryEvents().forEach(event => {
                     if (event.category) {
                         categories.add(event.category);
                     }
@@ -412,7 +1192,7 @@ class EventAggregator {
         }
 
         const categories = new Set();
-        this.inMemoryEvents.forEach(event => {
+        this.getVisibleInMemoryEvents().forEach(event => {
             if (event.category) {
                 categories.add(event.category);
             }
@@ -427,6 +1207,7 @@ class EventAggregator {
         if (this.useDatabase) {
             try {
                 await Event.deleteMany({});
+                await CanonicalEvent.deleteMany({});
                 console.log('Cleared all events from database');
             } catch (error) {
                 console.error('Error clearing events from database:', error.message);
@@ -434,6 +1215,7 @@ class EventAggregator {
         }
         
         this.inMemoryEvents = [];
+        this.inMemoryCanonicalEvents = new Map();
         this.lastUpdate = null;
     }
 
@@ -447,22 +1229,20 @@ class EventAggregator {
 
         if (this.useDatabase) {
             try {
-                totalEvents = await Event.countDocuments();
-                uniqueEvents = totalEvents; // DB already handles uniqueness
+                totalEvents = await Event.countDocuments(this.buildFilter({ includeDuplicates: true }));
+                uniqueEvents = await Event.countDocuments(this.buildFilter());
                 const cats = await this.getCategories();
                 categories = cats.length;
             } catch (error) {
                 console.error('Error getting stats from database:', error.message);
-                totalEvents = this.inMemoryEvents.length;
-                const allEvents = await this.getAllEvents();
-                uniqueEvents = allEvents.length;
+                totalEvents = this.getVisibleInMemoryEvents({ includeDuplicates: true }).length;
+                uniqueEvents = this.getVisibleInMemoryEvents().length;
                 const cats = await this.getCategories();
                 categories = cats.length;
             }
         } else {
-            totalEvents = this.inMemoryEvents.length;
-            const allEvents = await this.getAllEvents();
-            uniqueEvents = allEvents.length;
+            totalEvents = this.getVisibleInMemoryEvents({ includeDuplicates: true }).length;
+            uniqueEvents = this.getVisibleInMemoryEvents().length;
             const cats = await this.getCategories();
             categories = cats.length;
         }
@@ -472,7 +1252,8 @@ class EventAggregator {
             uniqueEvents,
             categories,
             lastUpdate: this.lastUpdate,
-            usingDatabase: this.useDatabase
+            usingDatabase: this.useDatabase,
+            fixtureMode: fixtureMode.isEnabled()
         };
     }
 }
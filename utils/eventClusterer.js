@@ -0,0 +1,337 @@
+/**
+ * Event Clusterer
+ * Groups source records of the same real-world event into canonical events
+ *
+ * Two records from different sources are linked when their dates overlap and
+ * a weighted score of title similarity, venue similarity and shared link domain
+ * passes the threshold. Linked records form clusters via union-find.
+ */
+
+const crypto = require('crypto');
+const mergeRules = require('../config/mergeRules');
+
+// Allowance for sources that store the same day at different times or offsets
+const DATE_TOLERANCE_MS = 12 * 60 * 60 * 1000;
+
+// Venue strings too generic to tell events apart
+const GENERIC_VENUES = ['qatar', 'doha', 'qatar museums', 'various locations', 'tba'];
+
+// Values scrapers fill in when the source had nothing
+const PLACEHOLDERS = {
+    price: /^(check website|tba|)$/i,
+    description: /^(click to view more details about this event\.?|)$/i,
+    image: /images\.unsplash\.com/i
+};
+
+class EventClusterer {
+    constructor(rules = mergeRules) {
+        this.rules = rules;
+        this.weights = { title: 0.6, venue: 0.25, domain: 0.15 };
+        this.threshold = 0.65;
+        this.minTitleSimilarity = 0.5;
+    }
+
+    /**
+     * Group events into clusters
+     * Forced merges are applied first, then matching pairs from the strongest
+     * score down. A link is skipped when it would put a never-duplicate pair
+     * in the same cluster. Overrides carry the order they were made in: a
+     * forced merge only ignores never-duplicate pairs made before it, so a
+     * later split undoes an earlier merge.
+     * @param {Array} events - Normalized events with id, source, title, date, venue, link
+     * @param {Object} [overrides] - { merges: [[id, id, order]], never: [[id, id, order]] } from clusterOverrides
+     * @returns {Array<Array>} clusters of events
+     */
+    cluster(events, overrides = { merges: [], never: [] }) {
+        const parent = new Map(events.map(event => [event.id, event.id]));
+        const members = new Map(events.map(event => [event.id, [event.id]]));
+
+        // id -> Map(other id -> order of the override that keeps them apart)
+        const neverPairs = new Map();
+        for (const [a, b, order = 0] of overrides.never) {
+            if (!neverPairs.has(a)) neverPairs.set(a, new Map());
+            if (!neverPairs.has(b)) neverPairs.set(b, new Map());
+            neverPairs.get(a).set(b, Math.max(order, neverPairs.get(a).get(b) ?? order));
+            neverPairs.get(b).set(a, Math.max(order, neverPairs.get(b).get(a) ?? order));
+        }
+
+        const find = (id) => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+
+        // mergeOrder is the order of a forced merge, or null for a scored match
+        const union = (a, b, mergeOrder = null) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA === rootB) return;
+
+            const membersA = members.get(rootA);
+            const membersB = members.get(rootB);
+            const blocked = membersA.some(id =>
+                neverPairs.has(id) && membersB.some(other => {
+                    const neverOrder = neverPairs.get(id).get(other);
+                    return neverOrder !== undefined && (mergeOrder === null || neverOrder > mergeOrder);
+                })
+            );
+            if (blocked) return;
+
+            parent.set(rootB, rootA);
+            members.set(rootA, membersA.concat(membersB));
+            members.delete(rootB);
+        };
+
+        // Overrides may name events that are no longer listed
+        for (const [a, b, order = 0] of overrides.merges) {
+            if (parent.has(a) && parent.has(b)) {
+                union(a, b, order);
+            }
+        }
+
+        const pairs = [];
+        for (let i = 0; i < events.length; i++) {
+            for (let j = i + 1; j < events.length; j++) {
+                const score = this.scorePair(events[i], events[j]);
+                if (score >= this.threshold) {
+                    pairs.push({ a: events[i].id, b: events[j].id, score });
+                }
+            }
+        }
+
+        pairs.sort((x, y) => y.score - x.score);
+        for (const pair of pairs) {
+            union(pair.a, pair.b);
+        }
+
+        const byId = new Map(events.map(event => [event.id, event]));
+        return Array.from(members.values()).map(ids => ids.map(id => byId.get(id)));
+    }
+
+    /**
+     * Score how likely two records describe the same event (0 to 1)
+     */
+    scorePair(event1, event2) {
+        // A source lists each event once, and fixtures never match real listings
+        if (event1.source === event2.source) return 0;
+        if (Boolean(event1.isFixture) !== Boolean(event2.isFixture)) return 0;
+        if (!this.datesOverlap(event1, event2)) return 0;
+
+        const titleScore = this.titleSimilarity(event1.title, event2.title);
+        if (titleScore < this.minTitleSimilarity) return 0;
+
+        // Unknown venues count as neutral rather than as a mismatch
+        const venueScore = event1.venueId && event2.venueId
+            ? Number(event1.venueId === event2.venueId)
+            : this.venueSimilarity(event1.venue, event2.venue);
+        const domain1 = this.linkDomain(event1.link);
+        const domainScore = domain1 && domain1 === this.linkDomain(event2.link) ? 1 : 0;
+
+        return titleScore * this.weights.title +
+            (venueScore === null ? 0.5 : venueScore) * this.weights.venue +
+            domainScore * this.weights.domain;
+    }
+
+    /**
+     * Check whether the date ranges of two events overlap
+     */
+    datesOverlap(event1, event2) {
+        if (!event1.date || !event2.date) return false;
+
+        const start1 = new Date(event1.date).getTime();
+        const end1 = new Date(event1.endDate || event1.date).getTime();
+        const start2 = new Date(event2.date).getTime();
+        const end2 = new Date(event2.endDate || event2.date).getTime();
+
+        return start1 <= end2 + DATE_TOLERANCE_MS && start2 <= end1 + DATE_TOLERANCE_MS;
+    }
+
+    /**
+     * Normalize title for matching
+     */
+    normalizeTitle(title) {
+        return (title || '')
+            .toLowerCase()
+            .trim()
+            // Remove special characters
+            .replace(/[^\w\s]/g, ' ')
+            // Remove common words that don't help matching
+            .replace(/\b(the|a|an|in|at|on|for|of|and|with)\b/g, ' ')
+            // Remove extra whitespace
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Title similarity (0 to 1)
+     */
+    titleSimilarity(title1, title2) {
+        const normalized1 = this.normalizeTitle(title1);
+        const normalized2 = this.normalizeTitle(title2);
+
+        if (!normalized1 || !normalized2) return 0;
+        if (normalized1 === normalized2) return 1;
+
+        // One title contains the other, e.g. "Doha Jazz Festival 2025"
+        const shorter = normalized1.length < normalized2.length ? normalized1 : normalized2;
+        const longer = shorter === normalized1 ? normalized2 : normalized1;
+        if (shorter.length >= 8 && longer.includes(shorter)) {
+            return 0.9;
+        }
+
+        return this.calculateSimilarity(normalized1, normalized2);
+    }
+
+    /**
+     * Calculate similarity between two strings (0 to 1)
+     * Share of the longer string covered by words both strings contain
+     */
+    calculateSimilarity(str1, str2) {
+        const longer = str1.length > str2.length ? str1 : str2;
+        const shorter = str1.length > str2.length ? str2 : str1;
+
+        if (longer.length === 0) {
+            return 1.0;
+        }
+
+        let matches = 0;
+        const longerWords = longer.split(' ');
+
+        for (const word of shorter.split(' ')) {
+            if (longerWords.includes(word) && word.length > 2) {
+                matches += word.length;
+            }
+        }
+
+        return matches / longer.length;
+    }
+
+    /**
+     * Venue similarity (0 to 1), or null when either venue is unknown
+     */
+    venueSimilarity(venue1, venue2) {
+        const tokens1 = this.venueTokens(venue1);
+        const tokens2 = this.venueTokens(venue2);
+
+        if (!tokens1 || !tokens2) return null;
+
+        const shared = [...tokens1].filter(token => tokens2.has(token)).length;
+        return shared / Math.min(tokens1.size, tokens2.size);
+    }
+
+    /**
+     * Significant words of a venue string, or null if it is generic
+     */
+    venueTokens(venue) {
+        const normalized = this.normalizeTitle(venue);
+        if (!normalized || GENERIC_VENUES.includes(normalized)) return null;
+
+        const tokens = normalized.split(' ').filter(token => token.length > 2 && token !== 'qatar');
+        return tokens.length > 0 ? new Set(tokens) : null;
+    }
+
+    /**
+     * Hostname of a link without the www prefix
+     */
+    linkDomain(link) {
+        try {
+            return new URL(link).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Build the canonical record for a cluster
+     */
+    buildCanonical(members) {
+        const primary = this.pickPrimary(members);
+
+        const canonical = {
+            canonicalId: this.canonicalIdFor(members),
+            primaryEventId: primary.id,
+            title: primary.title,
+            date: primary.date,
+            endDate: primary.endDate,
+            venue: primary.venue,
+            category: primary.category,
+            fieldSources: {},
+            sources: [...new Set(members.map(member => member.source))],
+            members: members.map(member => ({
+                eventId: member.id,
+                source: member.source,
+                link: member.link
+            }))
+        };
+
+        for (const field of Object.keys(this.rules.fields)) {
+            const winner = this.pickField(field, members) || primary;
+            canonical[field] = winner[field];
+            canonical.fieldSources[field] = winner.source;
+        }
+
+        return canonical;
+    }
+
+    /**
+     * Stable ID for a cluster, derived from its first-seen member
+     */
+    canonicalIdFor(members) {
+        const anchor = [...members].sort((a, b) =>
+            new Date(a.firstSeenAt || 0) - new Date(b.firstSeenAt || 0) ||
+            a.id.localeCompare(b.id)
+        )[0];
+
+        return 'ce_' + crypto.createHash('sha1').update(anchor.id).digest('hex').substring(0, 16);
+    }
+
+    /**
+     * Member that provides the title, date and link
+     */
+    pickPrimary(members) {
+        return [...members].sort((a, b) =>
+            this.sourceRank(this.rules.primary, a.source) - this.sourceRank(this.rules.primary, b.source) ||
+            a.id.localeCompare(b.id)
+        )[0];
+    }
+
+    /**
+     * Member whose value wins a merged field, or null if none has a usable value
+     */
+    pickField(field, members) {
+        const rule = this.rules.fields[field];
+        const candidates = members.filter(member => !this.isPlaceholder(field, member[field]));
+
+        if (candidates.length === 0) return null;
+
+        if (rule === 'longest') {
+            return candidates.reduce((best, member) =>
+                (member[field] || '').length > (best[field] || '').length ? member : best
+            );
+        }
+
+        return [...candidates].sort((a, b) =>
+            this.sourceRank(rule, a.source) - this.sourceRank(rule, b.source)
+        )[0];
+    }
+
+    /**
+     * Position of a source in a preference list; unlisted sources rank last
+     */
+    sourceRank(order, source) {
+        const index = order.indexOf(source);
+        return index === -1 ? order.length : index;
+    }
+
+    /**
+     * Check whether a field holds a scraper default rather than real data
+     */
+    isPlaceholder(field, value) {
+        const pattern = PLACEHOLDERS[field];
+        return !value || (pattern ? pattern.test(String(value).trim()) : false);
+    }
+}
+
+module.exports = new EventClusterer();
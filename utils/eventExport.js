@@ -0,0 +1,126 @@
+/**
+ * Event Export
+ * Columns and row formats for bulk exports as CSV or NDJSON
+ *
+ * CSV follows RFC 4180 (CRLF line endings, quoted fields where needed). The
+ * Excel flavour adds a UTF-8 byte order mark, so Arabic and accented text
+ * opens correctly, and defuses cells that Excel would run as formulas.
+ */
+
+/**
+ * ISO timestamp of a date value, or null
+ */
+function isoDate(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// Exportable columns and how to read each from an API-format event
+const COLUMNS = {
+    id: event => event.id,
+    title: event => event.title,
+    date: event => isoDate(event.date),
+    endDate: event => isoDate(event.endDate),
+    dateDisplay: event => event.dateDisplay || null,
+    allDay: event => Boolean(event.allDay),
+    recurrence: event => event.recurrence || null,
+    time: event => event.time || null,
+    venue: event => event.venue || null,
+    venueId: event => event.venueId || null,
+    lat: event => (event.location ? event.location.coordinates[1] : null),
+    lng: event => (event.location ? event.location.coordinates[0] : null),
+    category: event => event.category || null,
+    price: event => event.price || null,
+    priceMin: event => event.priceMin ?? null,
+    priceMax: event => event.priceMax ?? null,
+    currency: event => event.currency || null,
+    isFree: event => Boolean(event.isFree),
+    organizer: event => event.organizer || null,
+    description: event => event.description || null,
+    link: event => event.link || null,
+    image: event => event.image || null,
+    source: event => event.source,
+    sources: event => (event.sources || []).map(source => source.source),
+    status: event => event.status || 'active',
+    canonicalId: event => event.canonicalId || null,
+    firstSeenAt: event => isoDate(event.firstSeenAt),
+    lastSeenAt: event => isoDate(event.lastSeenAt),
+    lastChangedAt: event => isoDate(event.lastChangedAt)
+};
+
+const DEFAULT_COLUMNS = [
+    'id', 'title', 'date', 'endDate', 'venue', 'category',
+    'price', 'isFree', 'source', 'link', 'status', 'firstSeenAt'
+];
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    excel: { contentType: 'text/csv; charset=utf-8', extension: 'csv', bom: true, excel: true },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+/**
+ * Parse a comma list of column names
+ * @throws {Error} on unknown columns
+ */
+function parseColumns(value) {
+    if (!value) return DEFAULT_COLUMNS;
+
+    const columns = value === 'all'
+        ? Object.keys(COLUMNS)
+        : [...new Set(value.split(',').map(column => column.trim()).filter(Boolean))];
+    const unknown = columns.filter(column => !COLUMNS[column]);
+    if (unknown.length > 0 || columns.length === 0) {
+        throw new Error(`Invalid columns: ${unknown.join(', ') || value}. ` +
+            `Expected a comma list of ${Object.keys(COLUMNS).join(', ')}, or all`);
+    }
+    return columns;
+}
+
+/**
+ * Quote a CSV field where needed
+ * @param {boolean} excel - Prefix text Excel would read as a formula
+ */
+function csvField(value, excel) {
+    if (value === null || value === undefined) return '';
+
+    let text = Array.isArray(value) ? value.join('|') : String(value);
+    if (excel && typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV header line
+ */
+function csvHeader(columns) {
+    return columns.join(',') + '\r\n';
+}
+
+/**
+ * CSV line for an event
+ */
+function csvRow(event, columns, { excel = false } = {}) {
+    return columns.map(column => csvField(COLUMNS[column](event), excel)).join(',') + '\r\n';
+}
+
+/**
+ * NDJSON line for an event
+ */
+function ndjsonRow(event, columns) {
+    const row = {};
+    for (const column of columns) {
+        row[column] = COLUMNS[column](event);
+    }
+    return JSON.stringify(row) + '\n';
+}
+
+module.exports = {
+    COLUMNS,
+    DEFAULT_COLUMNS,
+    FORMATS,
+    parseColumns,
+    csvHeader,
+    csvRow,
+    ndjsonRow
+};
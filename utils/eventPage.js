@@ -0,0 +1,269 @@
+/**
+ * Event Page
+ * Server-rendered /events/:id pages that can be shared and indexed
+ *
+ * Each page carries schema.org Event JSON-LD for search engines and Open
+ * Graph / Twitter card tags for link previews in chat apps and social media.
+ */
+
+const QATAR_OFFSET_MS = 3 * 60 * 60 * 1000;
+const SITE_NAME = 'Qatar Events';
+const DEFAULT_IMAGE = 'https://images.unsplash.com/photo-1492684223066-81342ee5ff30?w=800';
+
+// Longest description used in meta tags
+const SUMMARY_LENGTH = 200;
+
+const DAY_NAMES = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * ISO 8601 date in Qatar time: YYYY-MM-DD for all-day events, else with a +03:00 offset
+ */
+function qatarIso(date, allDay) {
+    const local = new Date(new Date(date).getTime() + QATAR_OFFSET_MS).toISOString();
+    return allDay ? local.slice(0, 10) : `${local.slice(0, 19)}+03:00`;
+}
+
+/**
+ * Description cut to a length suitable for meta tags
+ */
+function summarize(event) {
+    const text = (event.description || `${event.title}${event.venue ? ` at ${event.venue}` : ''}`)
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text.length > SUMMARY_LENGTH ? `${text.slice(0, SUMMARY_LENGTH - 1).trimEnd()}…` : text;
+}
+
+/**
+ * When the event happens, as shown on the page
+ */
+function dateText(event) {
+    const weekly = event.recurrence && event.recurrence.match(/FREQ=WEEKLY;BYDAY=([A-Z,]+)/);
+    if (weekly) {
+        return `Every ${weekly[1].split(',').map(day => DAY_NAMES[day]).join(', ')}`;
+    }
+    return event.dateDisplay;
+}
+
+/**
+ * schema.org Event for an event
+ * @param {Object} event - API-format event
+ * @param {Object} page - { url, venue (gazetteer record or null) }
+ */
+function buildJsonLd(event, { url, venue }) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'Event',
+        name: event.title,
+        description: event.description || undefined,
+        url,
+        image: [event.image || DEFAULT_IMAGE],
+        eventStatus: event.status === 'cancelled'
+            ? 'https://schema.org/EventCancelled'
+            : 'https://schema.org/EventScheduled',
+        eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode'
+    };
+
+    if (event.date) {
+        data.startDate = qatarIso(event.date, event.allDay);
+        if (event.endDate) {
+            data.endDate = qatarIso(event.endDate, event.allDay);
+        }
+    }
+
+    if (event.venue) {
+        data.location = {
+            '@type': 'Place',
+            name: venue ? venue.name : event.venue,
+            address: {
+                '@type': 'PostalAddress',
+                addressLocality: venue && venue.district ? venue.district : undefined,
+                addressCountry: 'QA'
+            }
+        };
+        if (event.location) {
+            const [lng, lat] = event.location.coordinates;
+            data.location.geo = { '@type': 'GeoCoordinates', latitude: lat, longitude: lng };
+        }
+    }
+
+    if (event.organizer) {
+        data.organizer = { '@type': 'Organization', name: event.organizer };
+    }
+
+    const priceMin = event.priceMin ?? null;
+    const priceMax = event.priceMax ?? null;
+    if (event.isFree || priceMin !== null) {
+        const currency = event.currency || 'QAR';
+        const ranged = !event.isFree && priceMax !== null && priceMax > priceMin;
+        data.offers = ranged
+            ? {
+                '@type': 'AggregateOffer',
+                lowPrice: priceMin,
+                highPrice: priceMax,
+                priceCurrency: currency,
+                url: event.link || url
+            }
+            : {
+                '@type': 'Offer',
+                price: event.isFree ? 0 : priceMin,
+                priceCurrency: currency,
+                url: event.link || url
+            };
+    }
+
+    return data;
+}
+
+/**
+ * JSON for a <script> element; "<" is escaped so text can't close the element
+ */
+function scriptJson(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * Shared page shell: head with metadata, site header and footer
+ */
+function layout({ title, head, body }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+${head}
+    <link rel="stylesheet" href="/styles.css">
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700;800&display=swap" rel="stylesheet">
+    <script>document.documentElement.setAttribute('data-theme', localStorage.getItem('theme') || 'dark');</script>
+</head>
+
+<body>
+    <header class="header">
+        <div class="container">
+            <div class="header-content container">
+                <div class="logo-section">
+                    <a href="/" class="logo-link"><h1 class="logo">${SITE_NAME}</h1></a>
+                    <p class="tagline">Discover amazing events across Qatar</p>
+                </div>
+            </div>
+        </div>
+    </header>
+
+    <main class="main-content">
+        <div class="container">
+${body}
+        </div>
+    </main>
+
+    <footer class="footer">
+        <div class="container">
+            <p>&copy; 2024 <strong>${SITE_NAME}</strong> • Powered by Snoonu B2B</p>
+        </div>
+    </footer>
+</body>
+
+</html>
+`;
+}
+
+/**
+ * Full HTML page for an event
+ * @param {Object} event - API-format event with dateDisplay
+ * @param {Object} page - { url (canonical page URL), venue (gazetteer record or null) }
+ */
+function renderEventPage(event, { url, venue }) {
+    const summary = summarize(event);
+    const image = event.image || DEFAULT_IMAGE;
+    const removed = event.status === 'removed';
+    const isInstagram = event.link && event.link.includes('instagram.com');
+    const otherSources = (event.sources || []).filter(source => source.eventId !== event.id);
+
+    const meta = [
+        ['Date', dateText(event)],
+        ['Time', event.time],
+        ['Venue', event.venue],
+        ['Price', event.isFree ? 'Free' : event.price || 'Check website']
+    ].filter(([, value]) => value);
+
+    const head = [
+        `<meta name="description" content="${escapeHtml(summary)}">`,
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        // Events dropped by their source stay reachable for old links but leave search results
+        removed || event.isFixture ? '<meta name="robots" content="noindex">' : '',
+        `<meta property="og:type" content="website">`,
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        `<meta property="og:title" content="${escapeHtml(event.title)}">`,
+        `<meta property="og:description" content="${escapeHtml(summary)}">`,
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        `<meta property="og:image" content="${escapeHtml(image)}">`,
+        `<meta name="twitter:card" content="summary_large_image">`,
+        `<meta name="twitter:title" content="${escapeHtml(event.title)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(summary)}">`,
+        `<meta name="twitter:image" content="${escapeHtml(image)}">`,
+        `<script type="application/ld+json">\n${scriptJson(buildJsonLd(event, { url, venue }))}\n    </script>`
+    ].filter(Boolean).map(line => `    ${line}`).join('\n');
+
+    const notices = [
+        removed ? 'This event is no longer listed by its source and may not take place.' : '',
+        event.isFixture ? 'This is sample data from fixture mode, not a real listing.' : ''
+    ].filter(Boolean).map(text => `<p class="fixture-notice">${escapeHtml(text)}</p>`).join('\n');
+
+    const body = `            <article class="event-page">
+                <img src="${escapeHtml(image)}" alt="${escapeHtml(event.title)}" class="modal-image">
+                <div class="modal-header">
+                    ${event.category ? `<span class="event-category">${escapeHtml(event.category)}</span>` : ''}
+                    ${event.status === 'cancelled' ? '<span class="event-status-badge cancelled">Cancelled</span>' : ''}
+                    ${notices}
+                    <h2 class="modal-title">${escapeHtml(event.title)}</h2>
+                </div>
+                <div class="modal-meta">
+                    ${meta.map(([label, value]) => `<div class="modal-meta-item"><strong>${label}:</strong> ${escapeHtml(value)}</div>`).join('\n                    ')}
+                    ${otherSources.length > 0 ? `<div class="modal-meta-item"><strong>Also listed on:</strong> ${otherSources
+                        .map(source => `<a href="${escapeHtml(source.link)}" target="_blank" rel="noopener">${escapeHtml(source.source)}</a>`)
+                        .join(', ')}</div>` : ''}
+                </div>
+                ${event.description ? `<div class="modal-description">${escapeHtml(event.description)}</div>` : ''}
+                <div class="modal-actions">
+                    ${event.link ? `<a href="${escapeHtml(event.link)}" target="_blank" rel="noopener" class="btn ${isInstagram ? 'btn-instagram' : 'btn-primary'}">Open on ${isInstagram ? 'Instagram' : escapeHtml(event.source)} →</a>` : ''}
+                    ${event.dateUnknown ? '' : `<a href="/api/events/${encodeURIComponent(event.id)}.ics" class="btn btn-secondary" download>Add to calendar</a>`}
+                    <a href="/" class="btn btn-secondary">Browse all events</a>
+                </div>
+            </article>`;
+
+    return layout({ title: `${event.title} - ${SITE_NAME}`, head, body });
+}
+
+/**
+ * HTML page for an unknown event
+ */
+function renderNotFoundPage() {
+    return layout({
+        title: `Event not found - ${SITE_NAME}`,
+        head: '    <meta name="robots" content="noindex">',
+        body: `            <div class="empty-state">
+                <h2>Event Not Found</h2>
+                <p>This event may have been removed. <a href="/">Browse all events</a></p>
+            </div>`
+    });
+}
+
+module.exports = {
+    buildJsonLd,
+    renderEventPage,
+    renderNotFoundPage
+};
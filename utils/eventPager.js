@@ -0,0 +1,196 @@
+/**
+ * Event Pager
+ * Sort orders and cursor (keyset) pagination for event listings
+ *
+ * Every sort order maps an event to a key array ending in the event ID, so
+ * keys are unique and a page is "the next `limit` events after the cursor
+ * key". Unlike offsets, cursors don't skip or repeat events when events are
+ * added or removed between requests. Cursors are opaque base64url strings
+ * tied to the sort order they were issued for.
+ */
+
+const priceParser = require('./priceParser');
+
+const SORTS = ['date', 'price', 'newest', 'relevance', 'distance'];
+
+// Stands in for missing values that sort last; JSON has no Infinity
+const LAST = Number.MAX_SAFE_INTEGER;
+
+/**
+ * [unknown, time] for an event's next occurrence or start date
+ */
+function dateKey(event) {
+    const date = event.nextOccurrence || event.date;
+    return date ? [0, new Date(date).getTime()] : [1, 0];
+}
+
+/**
+ * Sort key of an event for a sort order
+ */
+function sortKey(event, sort) {
+    switch (sort) {
+        case 'price': {
+            // The merged listing's price, stored for database sorting; computed for records not yet clustered
+            const price = event.mergedMinPriceQar !== undefined
+                ? event.mergedMinPriceQar
+                : priceParser.minPriceInQar(event);
+            return [price === null ? LAST : price, ...dateKey(event), event.id];
+        }
+        case 'newest':
+            return [-(event.firstSeenAt ? new Date(event.firstSeenAt).getTime() : 0), event.id];
+        case 'relevance':
+            return [-(event.score || 0), ...dateKey(event), event.id];
+        case 'distance':
+            return [event.distance ?? LAST, event.id];
+        default:
+            return [...dateKey(event), event.id];
+    }
+}
+
+/**
+ * Compare two sort keys element by element
+ */
+function compareKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] < b[i]) return -1;
+        if (a[i] > b[i]) return 1;
+    }
+    return 0;
+}
+
+/**
+ * Encode the key of the last event on a page as a cursor
+ */
+function encodeCursor(sort, key) {
+    return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a sort key
+ * @throws {Error} if the cursor is malformed or was issued for another sort
+ */
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (!decoded || !Array.isArray(decoded.key) || decoded.key.length < 2) {
+        throw new Error('Invalid cursor');
+    }
+    if (decoded.sort !== sort) {
+        throw new Error(`Cursor was issued for sort=${decoded.sort}, not sort=${sort}`);
+    }
+    return decoded.key;
+}
+
+/**
+ * Sort events and take the page after a cursor
+ * @param {Array} events - All matching events
+ * @param {Object} options - { sort, cursor (decoded key or null), limit }
+ * @returns {Object} { total, events, nextCursor }
+ */
+function paginate(events, { sort, cursor, limit }) {
+    const keyed = events
+        .map(event => ({ event, key: sortKey(event, sort) }))
+        .sort((a, b) => compareKeys(a.key, b.key));
+    const remaining = cursor ? keyed.filter(({ key }) => compareKeys(key, cursor) > 0) : keyed;
+    const page = remaining.slice(0, limit);
+
+    return {
+        total: events.length,
+        events: page.map(({ event }) => event),
+        nextCursor: remaining.length > limit ? encodeCursor(sort, page[page.length - 1].key) : null
+    };
+}
+
+const MONGO_DATE_SORT = { dateUnknown: 1, date: 1, eventId: 1 };
+
+/**
+ * MongoDB sorts for the orders that can be paged in the database
+ * Each order is read in segments, one after the other. MongoDB sorts missing
+ * values first, so events without a known price are a segment of their own.
+ */
+const MONGO_SORTS = {
+    date: [{ filter: {}, sort: MONGO_DATE_SORT }],
+    newest: [{ filter: {}, sort: { firstSeenAt: -1, eventId: 1 } }],
+    price: [
+        { filter: { mergedMinPriceQar: { $ne: null } }, sort: { mergedMinPriceQar: 1, ...MONGO_DATE_SORT } },
+        { filter: { mergedMinPriceQar: null }, sort: MONGO_DATE_SORT }
+    ]
+};
+
+/**
+ * MongoDB filter for events after a cursor key, mirroring sortKey
+ */
+function mongoAfter(sort, key) {
+    if (sort === 'price') {
+        const [price, ...dateKey] = key;
+        if (price === LAST) {
+            return { $and: [{ mergedMinPriceQar: null }, mongoAfter('date', dateKey)] };
+        }
+        return {
+            $or: [
+                { mergedMinPriceQar: { $gt: price } },
+                { mergedMinPriceQar: null },
+                { $and: [{ mergedMinPriceQar: price }, mongoAfter('date', dateKey)] }
+            ]
+        };
+    }
+
+    if (sort === 'newest') {
+        const [negatedTime, id] = key;
+        if (negatedTime === 0) {
+            return { firstSeenAt: null, eventId: { $gt: id } };
+        }
+        const firstSeenAt = new Date(-negatedTime);
+        return {
+            $or: [
+                { firstSeenAt: { $lt: firstSeenAt } },
+                { firstSeenAt: null },
+                { firstSeenAt, eventId: { $gt: id } }
+            ]
+        };
+    }
+
+    const [unknown, time, id] = key;
+    if (unknown) {
+        return { dateUnknown: true, eventId: { $gt: id } };
+    }
+    const date = new Date(time);
+    return {
+        $or: [
+            { dateUnknown: true },
+            { date: { $gt: date } },
+            { date, eventId: { $gt: id } }
+        ]
+    };
+}
+
+/**
+ * Keep only the requested fields of an event (the ID is always kept)
+ */
+function project(event, fields) {
+    if (!fields) return event;
+
+    const projected = { id: event.id };
+    for (const field of fields) {
+        if (event[field] !== undefined) {
+            projected[field] = event[field];
+        }
+    }
+    return projected;
+}
+
+module.exports = {
+    SORTS,
+    MONGO_SORTS,
+    sortKey,
+    encodeCursor,
+    decodeCursor,
+    paginate,
+    mongoAfter,
+    project
+};
@@ -0,0 +1,168 @@
+/**
+ * Feed Builder
+ * Renders newly listed events as RSS 2.0, Atom 1.0 and JSON Feed 1.1
+ *
+ * Entries are dated by when the event was first seen, so feed readers show
+ * each event once, when it appears, rather than when it takes place.
+ */
+
+const FEED_AUTHOR = 'Qatar Events';
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * When the event was first listed, falling back to the build time
+ */
+function publishedAt(event, now) {
+    return event.firstSeenAt ? new Date(event.firstSeenAt) : now;
+}
+
+/**
+ * Stable entry ID that doesn't depend on the host serving the feed
+ */
+function entryId(event) {
+    return `tag:qatar-events,2024:event/${encodeURIComponent(event.canonicalId || event.id)}`;
+}
+
+/**
+ * HTML body of an entry: when, where, price and description
+ */
+function contentHtml(event) {
+    const details = [
+        ['When', event.dateDisplay],
+        ['Where', event.venue],
+        ['Price', event.isFree ? 'Free' : event.price],
+        ['Listed by', event.source]
+    ].filter(([, value]) => value);
+
+    return [
+        ...details.map(([label, value]) => `<p><strong>${label}:</strong> ${escapeXml(value)}</p>`),
+        event.description ? `<p>${escapeXml(event.description)}</p>` : ''
+    ].join('');
+}
+
+/**
+ * RSS 2.0 document
+ * @param {Array} events - Newest first
+ * @param {Object} feed - { title, description, homeUrl, feedUrl, now }
+ */
+function buildRss(events, { title, description, homeUrl, feedUrl, now = new Date() }) {
+    const items = events.map(event => [
+        '<item>',
+        `<title>${escapeXml(event.title)}</title>`,
+        `<link>${escapeXml(event.link || homeUrl)}</link>`,
+        `<guid isPermaLink="false">${escapeXml(entryId(event))}</guid>`,
+        `<pubDate>${publishedAt(event, now).toUTCString()}</pubDate>`,
+        event.category ? `<category>${escapeXml(event.category)}</category>` : '',
+        `<description>${escapeXml(contentHtml(event))}</description>`,
+        '</item>'
+    ].filter(Boolean).join('\n'));
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '<channel>',
+        `<title>${escapeXml(title)}</title>`,
+        `<link>${escapeXml(homeUrl)}</link>`,
+        `<description>${escapeXml(description)}</description>`,
+        `<atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        `<lastBuildDate>${now.toUTCString()}</lastBuildDate>`,
+        '<ttl>360</ttl>',
+        ...items,
+        '</channel>',
+        '</rss>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Atom 1.0 document
+ * @param {Array} events - Newest first
+ * @param {Object} feed - { title, description, homeUrl, feedUrl, now }
+ */
+function buildAtom(events, { title, description, homeUrl, feedUrl, now = new Date() }) {
+    const updated = events.length > 0 ? publishedAt(events[0], now) : now;
+
+    const entries = events.map(event => {
+        const published = publishedAt(event, now);
+        const modified = event.lastChangedAt ? new Date(event.lastChangedAt) : published;
+        return [
+            '<entry>',
+            `<id>${escapeXml(entryId(event))}</id>`,
+            `<title>${escapeXml(event.title)}</title>`,
+            `<link rel="alternate" href="${escapeXml(event.link || homeUrl)}"/>`,
+            `<published>${published.toISOString()}</published>`,
+            `<updated>${(modified > published ? modified : published).toISOString()}</updated>`,
+            event.category ? `<category term="${escapeXml(event.category)}"/>` : '',
+            `<content type="html">${escapeXml(contentHtml(event))}</content>`,
+            '</entry>'
+        ].filter(Boolean).join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<id>${escapeXml(feedUrl)}</id>`,
+        `<title>${escapeXml(title)}</title>`,
+        `<subtitle>${escapeXml(description)}</subtitle>`,
+        `<link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+        `<link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>`,
+        `<updated>${updated.toISOString()}</updated>`,
+        `<author><name>${FEED_AUTHOR}</name></author>`,
+        ...entries,
+        '</feed>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * JSON Feed 1.1 object
+ * Event details are also given as structured data under the `_event` extension
+ * @param {Array} events - Newest first
+ * @param {Object} feed - { title, description, homeUrl, feedUrl, now }
+ */
+function buildJsonFeed(events, { title, description, homeUrl, feedUrl, now = new Date() }) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        description,
+        home_page_url: homeUrl,
+        feed_url: feedUrl,
+        authors: [{ name: FEED_AUTHOR }],
+        items: events.map(event => ({
+            id: entryId(event),
+            url: event.link || homeUrl,
+            title: event.title,
+            content_html: contentHtml(event),
+            summary: event.description || undefined,
+            image: event.image || undefined,
+            date_published: publishedAt(event, now).toISOString(),
+            date_modified: event.lastChangedAt ? new Date(event.lastChangedAt).toISOString() : undefined,
+            tags: event.category ? [event.category] : [],
+            _event: {
+                id: event.id,
+                date: event.date,
+                endDate: event.endDate || null,
+                venue: event.venue || null,
+                price: event.price || null,
+                isFree: Boolean(event.isFree),
+                source: event.source,
+                status: event.status || 'active'
+            }
+        }))
+    };
+}
+
+module.exports = {
+    buildRss,
+    buildAtom,
+    buildJsonFeed
+};
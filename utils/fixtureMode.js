@@ -0,0 +1,51 @@
+/**
+ * Fixture Mode
+ * Development-only switch that lets scrapers serve their built-in sample events
+ *
+ * Enabled with FIXTURE_MODE=true and never honored when NODE_ENV=production.
+ * Fixture events always carry isFixture: true so they can't pass as real listings.
+ */
+
+/**
+ * Check whether fixture mode is turned on
+ */
+function isEnabled() {
+    return process.env.FIXTURE_MODE === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Flag sample events as fixtures
+ */
+function markFixtures(events) {
+    return events.map(event => ({ ...event, isFixture: true }));
+}
+
+/**
+ * Handle a failed scrape
+ * Sample events are only served in fixture mode; otherwise nothing is returned
+ * and the reason is kept in the scraper's lastError for the caller to record
+ * @param {Object} scraper - Scraper with lastError and getMockEvents()
+ * @param {string} label - Source name for log messages
+ * @param {string} reason - Why the scrape failed
+ * @param {Object} stats - SourceRunStats of the run
+ * @returns {Array} fixture events, or [] outside fixture mode
+ */
+function fallback(scraper, label, reason, stats) {
+    scraper.lastError = reason;
+    stats.recordError(reason);
+
+    if (isEnabled()) {
+        stats.mockFallbacks++;
+        console.log(`${label}: ${reason}, returning fixture events`);
+        return markFixtures(scraper.getMockEvents());
+    }
+
+    console.log(`${label}: ${reason}, returning no events`);
+    return [];
+}
+
+module.exports = {
+    isEnabled,
+    markFixtures,
+    fallback
+};
@@ -0,0 +1,34 @@
+/**
+ * Geo helpers
+ * GeoJSON points and great-circle distances for "near me" queries
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * GeoJSON point for a latitude/longitude pair
+ */
+function toPoint(lat, lng) {
+    return { type: 'Point', coordinates: [lng, lat] };
+}
+
+/**
+ * Haversine distance in kilometres between two GeoJSON points
+ */
+function distanceKm(point1, point2) {
+    const [lng1, lat1] = point1.coordinates;
+    const [lng2, lat2] = point2.coordinates;
+    const toRadians = degrees => degrees * Math.PI / 180;
+
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+    toPoint,
+    distanceKm
+};
@@ -0,0 +1,213 @@
+/**
+ * iCalendar
+ * Renders events as RFC 5545 calendars (.ics) for download and subscription
+ *
+ * Times are written in Asia/Qatar local time with a VTIMEZONE definition
+ * (Qatar has kept UTC+3 without daylight saving since 1972). All-day events
+ * use DATE values; multi-day runs become a single spanning event, and other
+ * recurring events carry their RRULE. Timed events without a known end get
+ * a default length, since calendar apps show zero-length events poorly.
+ */
+
+const recurrence = require('./recurrence');
+const { QATAR_TIMEZONE } = require('./dateParser');
+
+const QATAR_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DURATION_MS = 2 * 60 * 60 * 1000;
+
+const PRODUCT_ID = '-//Qatar Events//Qatar Events Aggregator//EN';
+const UID_DOMAIN = 'qatar-events';
+
+// How often subscribed calendars should poll; sources are scraped every 6 hours
+const REFRESH_INTERVAL = 'PT6H';
+
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${QATAR_TIMEZONE}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19720101T000000',
+    'TZOFFSETFROM:+0400',
+    'TZOFFSETTO:+0300',
+    'TZNAME:+03',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * Digits of a Date shifted to Qatar time, e.g. 20251130T190000
+ */
+function qatarStamp(date) {
+    return new Date(date.getTime() + QATAR_OFFSET_MS).toISOString()
+        .replace(/[-:]/g, '')
+        .replace(/\.\d{3}Z$/, '');
+}
+
+/**
+ * Qatar calendar date, e.g. 20251130
+ */
+function qatarDate(date) {
+    return qatarStamp(date).slice(0, 8);
+}
+
+/**
+ * UTC timestamp, e.g. 20251130T160000Z
+ */
+function utcStamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a TEXT value
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing with a leading space
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Whether a rule is a plain run of consecutive days ("1 - 5 May")
+ */
+function isDailyRun(rule) {
+    return rule && rule.freq === 'DAILY' && rule.interval === 1 && !rule.byDay && !rule.count;
+}
+
+/**
+ * RRULE for a recurring event; UNTIL must be a DATE when DTSTART is one
+ */
+function rruleFor(event, rule) {
+    if (!rule.until || !event.allDay) {
+        return event.recurrence;
+    }
+    return event.recurrence.replace(/UNTIL=[^;]+/i, `UNTIL=${qatarDate(rule.until)}`);
+}
+
+/**
+ * DTSTART, DTEND and RRULE lines for an event
+ */
+function timingLines(event) {
+    const start = new Date(event.date);
+    const end = event.endDate ? new Date(event.endDate) : null;
+    const rule = recurrence.parseRule(event.recurrence);
+
+    if (event.allDay) {
+        // DTEND of an all-day event is the day after its last day
+        const lastDay = !rule || isDailyRun(rule) ? end || (rule && rule.until) || start : start;
+        const lines = [
+            `DTSTART;VALUE=DATE:${qatarDate(start)}`,
+            `DTEND;VALUE=DATE:${qatarDate(new Date(Math.max(lastDay.getTime(), start.getTime()) + DAY_MS))}`
+        ];
+        if (rule && !isDailyRun(rule)) {
+            lines.push(`RRULE:${rruleFor(event, rule)}`);
+        }
+        return lines;
+    }
+
+    // Recurring events repeat DTSTART-DTEND, so their end date can't be used as DTEND
+    const occurrenceEnd = !rule && end && end > start
+        ? end
+        : new Date(start.getTime() + DEFAULT_DURATION_MS);
+    const lines = [
+        `DTSTART;TZID=${QATAR_TIMEZONE}:${qatarStamp(start)}`,
+        `DTEND;TZID=${QATAR_TIMEZONE}:${qatarStamp(occurrenceEnd)}`
+    ];
+    if (rule) {
+        lines.push(`RRULE:${rruleFor(event, rule)}`);
+    }
+    return lines;
+}
+
+/**
+ * VEVENT lines for an event
+ */
+function eventLines(event, now) {
+    const description = [event.description, event.price && `Price: ${event.price}`, event.link]
+        .filter(Boolean)
+        .join('\n\n');
+    const uid = String(event.canonicalId || event.id).replace(/[^A-Za-z0-9._-]+/g, '-');
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}@${UID_DOMAIN}`,
+        `DTSTAMP:${utcStamp(now)}`,
+        ...timingLines(event),
+        `SUMMARY:${escapeText(event.title)}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+    if (event.venue) lines.push(`LOCATION:${escapeText(event.venue)}`);
+    if (event.location) {
+        const [lng, lat] = event.location.coordinates;
+        lines.push(`GEO:${lat};${lng}`);
+    }
+    if (event.link) lines.push(`URL:${event.link}`);
+    if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    if (event.lastChangedAt) lines.push(`LAST-MODIFIED:${utcStamp(new Date(event.lastChangedAt))}`);
+    lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+/**
+ * Render events as an iCalendar document
+ * Events without a known date are left out
+ * @param {Array} events
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @param {Date} [options.now] - DTSTAMP of the events
+ * @returns {string}
+ */
+function buildCalendar(events, { name = 'Qatar Events', now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-TIMEZONE:${QATAR_TIMEZONE}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+        ...VTIMEZONE
+    ];
+
+    for (const event of events) {
+        if (event.date) {
+            lines.push(...eventLines(event, now));
+        }
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar
+};
@@ -0,0 +1,138 @@
+/**
+ * Price Parser
+ * Turns free-text prices ("QAR 150 - QAR 500", "Free", "Check website")
+ * into numeric fields that can be filtered on
+ *
+ * Handles QAR/QR/ريال, USD/$ and EUR/€ amounts, thousands separators and
+ * Arabic-Indic digits. A bare amount or range without a currency is taken as
+ * QAR; other numbers without a currency are not prices.
+ */
+
+const DEFAULT_CURRENCY = 'QAR';
+
+// The riyal is pegged to the US dollar
+const QAR_PER_USD = 3.64;
+
+const CURRENCIES = [
+    { code: 'QAR', pattern: /\b(qar|qr)\b|ر\.?\s?ق|ريال/i },
+    { code: 'USD', pattern: /\b(usd|us\$)\b|\$/i },
+    { code: 'EUR', pattern: /\beur\b|€/i }
+];
+
+const FREE_PATTERN = /\b(free|complimentary|no charge)\b|مجان|مجاني/i;
+
+// Amounts such as 150, 1,200 or 99.50
+const AMOUNT_PATTERN = /\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?/g;
+
+// Text that is nothing but an amount or a range, e.g. "150" or "150 - 300"
+const BARE_AMOUNT_PATTERN = new RegExp(`^(?:${AMOUNT_PATTERN.source})(?:\\s*-\\s*(?:${AMOUNT_PATTERN.source}))?$`);
+
+// Amounts written next to a currency, e.g. "QAR 150", "150 QR" or "USD 25 - 40"
+const CURRENCY_TOKEN = 'qar|qr|usd|us\\$|eur|\\$|€|ر\\.?\\s?ق|ريال';
+const AMOUNT_OR_RANGE = `(${AMOUNT_PATTERN.source})(?:\\s*-\\s*(${AMOUNT_PATTERN.source}))?`;
+const CURRENCY_AMOUNT_PATTERN = new RegExp(
+    `(?:(?:${CURRENCY_TOKEN})\\s*${AMOUNT_OR_RANGE})|(?:${AMOUNT_OR_RANGE}\\s*(?:${CURRENCY_TOKEN}))`,
+    'gi'
+);
+
+/**
+ * Result for text that holds no usable price
+ */
+function unknownPrice() {
+    return { priceMin: null, priceMax: null, currency: null, isFree: false, priceKnown: false };
+}
+
+/**
+ * Convert Arabic-Indic digits and separators to ASCII
+ */
+function normalize(text) {
+    return String(text)
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+        .replace(/٬/g, ',')
+        .replace(/٫/g, '.')
+        .trim();
+}
+
+/**
+ * Parse a price string
+ * @param {string} text - Price as scraped
+ * @returns {Object} { priceMin, priceMax, currency, isFree, priceKnown }
+ */
+function parse(text) {
+    if (!text || typeof text !== 'string') {
+        return unknownPrice();
+    }
+
+    const normalized = normalize(text);
+    const currency = CURRENCIES.find(({ pattern }) => pattern.test(normalized));
+
+    // With a currency present, ignore stray numbers like dates or ticket counts.
+    // Without one, only text that is just an amount or range is a price, not
+    // "Doors open 7pm, 18+ only"
+    let amounts = [];
+    if (currency) {
+        amounts = [...normalized.matchAll(CURRENCY_AMOUNT_PATTERN)].flatMap(match => match.slice(1).filter(Boolean));
+    } else if (BARE_AMOUNT_PATTERN.test(normalized)) {
+        amounts = normalized.match(AMOUNT_PATTERN);
+    }
+    amounts = amounts.map(amount => parseFloat(amount.replace(/,/g, '')));
+
+    const mentionsFree = FREE_PATTERN.test(normalized);
+
+    if (amounts.length === 0) {
+        if (!mentionsFree) {
+            return unknownPrice();
+        }
+        return {
+            priceMin: 0,
+            priceMax: 0,
+            currency: currency ? currency.code : DEFAULT_CURRENCY,
+            isFree: true,
+            priceKnown: true
+        };
+    }
+
+    // "Free - QAR 100": some tiers are free, others are paid
+    const prices = mentionsFree ? [0, ...amounts] : amounts;
+    const priceMax = Math.max(...prices);
+
+    return {
+        priceMin: Math.min(...prices),
+        priceMax,
+        currency: currency ? currency.code : DEFAULT_CURRENCY,
+        isFree: priceMax === 0,
+        priceKnown: true
+    };
+}
+
+/**
+ * Amounts written next to a currency in running text
+ * e.g. [150, 500] for "tickets cost QAR 150 to 500 QR"
+ */
+function currencyAmounts(text) {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    return [...normalize(text).matchAll(CURRENCY_AMOUNT_PATTERN)]
+        .flatMap(match => match.slice(1).filter(Boolean))
+        .map(amount => parseFloat(amount.replace(/,/g, '')));
+}
+
+/**
+ * Lowest price of an event in QAR, or null if unknown or in another currency
+ */
+function minPriceInQar(event) {
+    if (!event.priceKnown || event.priceMin === null || event.priceMin === undefined) return null;
+    if (event.currency === 'QAR') return event.priceMin;
+    if (event.currency === 'USD') return event.priceMin * QAR_PER_USD;
+    return null;
+}
+
+module.exports = {
+    parse,
+    currencyAmounts,
+    minPriceInQar,
+    FREE_PATTERN
+};
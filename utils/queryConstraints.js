@@ -0,0 +1,296 @@
+/**
+ * Query Constraints
+ * Reads structured filters out of chat questions: a date window, categories,
+ * a price ceiling, a venue and an audience
+ *
+ * "free sports events at Katara this weekend" becomes
+ * { window: this Friday-Saturday, categories: ['Sports & Fitness'], free: true,
+ *   venue: katara-cultural-village, terms: ['sports'] }. The chatbot keeps only
+ * events that satisfy every constraint before ranking them, so answers can't
+ * pick past events or events outside the asked-for dates or budget.
+ * Dates are Qatar calendar days; the weekend is Friday and Saturday.
+ */
+
+const dateParser = require('./dateParser');
+const recurrence = require('./recurrence');
+const priceParser = require('./priceParser');
+const venueMatcher = require('./venueMatcher');
+const textSearch = require('./textSearch');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead "upcoming" looks when a question names no dates
+const UPCOMING_DAYS = 366;
+
+const MONTH_NAMES = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Query words that point to a category; events match on the category or on these words
+const CATEGORY_KEYWORDS = {
+    'Music & Concerts': /\b(concerts?|music|gigs?|jazz|orchestras?|singers?|bands?)\b/,
+    'Sports & Fitness': /\b(sports?|fitness|running|marathons?|football|soccer|basketball|tennis|padel|yoga|cycling)\b/,
+    'Arts & Culture': /\b(arts?|culture|cultural|museums?|galler(y|ies)|paintings?)\b/,
+    'Food & Dining': /\b(food|dining|restaurants?|brunch(es)?|dinners?|cuisine|cooking)\b/,
+    'Education & Workshops': /\b(workshops?|classes|courses?|seminars?|lectures?)\b/,
+    'Business & Networking': /\b(business|networking|conferences?|summits?)\b/,
+    'Festivals': /\b(festivals?|carnivals?|celebrations?)\b/,
+    'Tourism & Travel': /\b(tours?|safaris?|cruises?|sightseeing|desert)\b/,
+    'Exhibitions': /\b(exhibitions?|expos?)\b/,
+    'Entertainment': /\b(comedy|theat(er|re)|musicals?|entertainment|movies?|cinema)\b/,
+    'Community & Social': /\b(community|volunteer(ing)?|charity|meetups?)\b/
+};
+
+// Who an event is for; events match on these words, or on the category given
+const AUDIENCES = {
+    family: {
+        query: /\b(kids?|child(ren)?|famil(y|ies)|toddlers?|teens?)\b/,
+        event: /\b(kids?|child(ren)?|famil(y|ies)|toddlers?|teens?|all ages)\b/,
+        category: 'Family & Kids',
+        label: 'for families and kids'
+    },
+    adults: {
+        query: /\b(adults?( only)?|18\+|21\+|grown ?ups?)/,
+        event: /\b(adults?( only)?|18\+|21\+)/,
+        label: 'for adults'
+    }
+};
+
+// "under QAR 100", "below 150 qr", "budget of 200", "100 riyals or less"
+const CURRENCY = '(qar|qr|riyals?)';
+const PRICE_CEILING = new RegExp(
+    `\\b(?:under|below|less than|cheaper than|up to|max(?:imum)?|no more than|within|budget(?: of| is)?)\\s*${CURRENCY}?\\s*(\\d+(?:\\.\\d+)?)\\s*${CURRENCY}?` +
+    `|\\b(\\d+(?:\\.\\d+)?)\\s*${CURRENCY}?\\s*or (?:less|under|below)\\b`,
+    'g'
+);
+
+// Without a currency, an amount is only a price in a question about money
+// ("tickets under 100"), not "kids under 12" or "within 5 km"
+const PRICE_WORDS = /\b(budget|prices?|priced|costs?|costing|cheap(er|est)?|spend|pay|tickets?|fees?)\b/;
+const AGE_WORDS = /\b(kids?|child(ren)?|ages?|aged|teens?|toddlers?|boys|girls)\s*$/;
+const NON_PRICE_UNITS = /^\s*(years?|yrs?|y\/?o|months?|weeks?|days?|hours?|hrs?|minutes?|mins?|km|kms|kilomet(er|re)s?|miles?|m|met(er|re)s?|people|persons?|guests?|pax|seats?|kids|children|adults)\b/;
+
+// Words that carry no meaning for keyword ranking once constraints are read
+const STOPWORDS = new Set([
+    'a', 'about', 'any', 'are', 'at', 'can', 'do', 'event', 'events', 'for', 'happening',
+    'i', 'in', 'is', 'me', 'of', 'on', 'or', 'show', 'some', 'that', 'the', 'there', 'things',
+    'to', 'what', 'whats', 'where', 'which', 'with', 'go', 'find', 'anything', 'qatar', 'doha',
+    'free', 'cheap', 'qar', 'qr', 'riyals', 'under', 'below', 'less', 'than', 'this', 'next',
+    'today', 'tonight', 'tomorrow', 'weekend', 'week', 'month', 'days', 'upcoming', 'coming', 'up',
+    'see', 'activities', 'recommend', 'good', 'best', 'fun', 'please', 'something', 'how', 'when'
+]);
+
+/**
+ * Start of the Qatar day `days` days after the one containing `date`
+ */
+function dayStart(date, days = 0) {
+    return new Date(dateParser.startOfQatarDay(date).getTime() + days * DAY_MS);
+}
+
+/**
+ * Window from the start of one Qatar day to the end of another
+ */
+function daysWindow(first, last, label) {
+    return { from: first, to: new Date(last.getTime() + DAY_MS - 1), label };
+}
+
+/**
+ * Window of a whole calendar month
+ */
+function monthWindow(year, month, label) {
+    return {
+        from: dateParser.qatarTime(year, month, 1),
+        to: new Date(dateParser.qatarTime(year, month + 1, 1).getTime() - 1),
+        label
+    };
+}
+
+/**
+ * Date window named in a query, or null
+ * @param {string} text - Lowercased query
+ * @param {Date} now
+ */
+function extractWindow(text, now) {
+    const { year, month, weekday } = dateParser.qatarDateParts(now);
+    const today = dayStart(now);
+
+    if (/\b(today|tonight)\b/.test(text)) {
+        return { from: now, to: new Date(today.getTime() + DAY_MS - 1), label: 'today' };
+    }
+    if (/\btomorrow\b/.test(text)) {
+        return daysWindow(dayStart(now, 1), dayStart(now, 1), 'tomorrow');
+    }
+
+    const weekend = text.match(/\b(this|next)?\s*weekend\b/);
+    if (weekend) {
+        // Friday of this weekend; on Saturday that is yesterday
+        const friday = weekday === 6 ? dayStart(now, -1) : dayStart(now, (5 - weekday + 7) % 7);
+        const start = weekend[1] === 'next' ? new Date(friday.getTime() + 7 * DAY_MS) : friday;
+        const from = start < now ? now : start;
+        return { ...daysWindow(start, new Date(start.getTime() + DAY_MS), `${weekend[1] || 'this'} weekend`), from };
+    }
+
+    const days = text.match(/\b(?:next|coming)\s+(\d{1,3})\s+days\b/);
+    if (days) {
+        return { from: now, to: new Date(now.getTime() + Number(days[1]) * DAY_MS), label: `the next ${days[1]} days` };
+    }
+
+    // Weeks run Sunday to Saturday
+    if (/\bnext week\b/.test(text)) {
+        const sunday = dayStart(now, 7 - weekday);
+        return daysWindow(sunday, new Date(sunday.getTime() + 6 * DAY_MS), 'next week');
+    }
+    if (/\b(this|coming) week\b/.test(text)) {
+        return { from: now, to: new Date(dayStart(now, 6 - weekday).getTime() + DAY_MS - 1), label: 'this week' };
+    }
+
+    if (/\bnext month\b/.test(text)) {
+        return monthWindow(year, month + 1, 'next month');
+    }
+    if (/\bthis month\b/.test(text)) {
+        return { ...monthWindow(year, month, 'this month'), from: now };
+    }
+
+    // "in December", "December 2026"; "may" only after a preposition, as it's also a verb
+    const monthPattern = new RegExp(
+        `\\b(?:(in|during|for|of|throughout)\\s+)?(${MONTH_NAMES.join('|')})\\b(?:\\s+(\\d{4}))?`
+    );
+    const named = [...text.matchAll(new RegExp(monthPattern, 'g'))]
+        .find(match => match[2] !== 'may' || match[1] || match[3]);
+    if (named) {
+        const index = MONTH_NAMES.indexOf(named[2]);
+        // A month that has already ended this year means next year's
+        const targetYear = named[3] ? Number(named[3]) : index < month ? year + 1 : year;
+        const name = named[2][0].toUpperCase() + named[2].slice(1);
+        const window = monthWindow(targetYear, index, `${name} ${targetYear}`);
+        return window.from < now && window.to > now ? { ...window, from: now } : window;
+    }
+
+    return null;
+}
+
+/**
+ * Price ceiling named in a query, or null
+ * @param {string} text - Lowercased query
+ */
+function extractMaxPrice(text) {
+    for (const match of text.matchAll(PRICE_CEILING)) {
+        const [, currencyBefore, amount, currencyAfter, orLessAmount, orLessCurrency] = match;
+        if (currencyBefore || currencyAfter || orLessCurrency) {
+            return Number(amount || orLessAmount);
+        }
+
+        const before = text.slice(0, match.index);
+        const rest = text.slice(match.index + match[0].length);
+        if (PRICE_WORDS.test(text) && !AGE_WORDS.test(before) && !NON_PRICE_UNITS.test(rest)) {
+            return Number(amount || orLessAmount);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Read the constraints in a chat query
+ * @param {string} query
+ * @param {Object} [options] - { now }
+ * @returns {Object} { window, categories, free, maxPrice, venue, audience, terms }
+ */
+function extract(query, { now = new Date() } = {}) {
+    const text = textSearch.normalize(query);
+
+    const categories = Object.keys(CATEGORY_KEYWORDS).filter(category => CATEGORY_KEYWORDS[category].test(text));
+    const audience = Object.keys(AUDIENCES).find(name => AUDIENCES[name].query.test(text)) || null;
+
+    const maxPrice = extractMaxPrice(text);
+    const free = /\bfree\b/.test(text) && !/\bfree (time|parking|wifi|wi-fi)\b/.test(text);
+
+    const venue = venueMatcher.match(query);
+    const venueWords = venue ? new Set(textSearch.tokenize(venue.name)) : new Set();
+
+    return {
+        window: extractWindow(text, now),
+        categories,
+        free,
+        maxPrice,
+        venue: venue ? { slug: venue.slug, name: venue.name } : null,
+        audience,
+        // Left for ranking: the words not used up by dates, prices or the venue
+        terms: textSearch.tokenize(text)
+            .filter(word => !STOPWORDS.has(word) && !venueWords.has(word) && !MONTH_NAMES.includes(word) && !/^\d+$/.test(word))
+    };
+}
+
+/**
+ * Whether an event satisfies the constraints
+ * Without a date window, events that have already ended are left out
+ */
+function matches(event, constraints, now = new Date()) {
+    if (constraints.window) {
+        if (recurrence.occurrencesBetween(event, constraints.window.from, constraints.window.to, 1).length === 0) {
+            return false;
+        }
+    } else if (event.date &&
+        recurrence.occurrencesBetween(event, now, new Date(now.getTime() + UPCOMING_DAYS * DAY_MS), 1).length === 0) {
+        return false;
+    }
+
+    const text = textSearch.normalize(`${event.title} ${event.description || ''}`);
+
+    if (constraints.categories.length > 0 &&
+        !constraints.categories.includes(event.category) &&
+        !constraints.categories.some(category => CATEGORY_KEYWORDS[category].test(text))) {
+        return false;
+    }
+
+    if (constraints.audience) {
+        const audience = AUDIENCES[constraints.audience];
+        if (event.category !== audience.category && !audience.event.test(text)) {
+            return false;
+        }
+    }
+
+    if (constraints.free && !event.isFree) {
+        return false;
+    }
+
+    if (constraints.maxPrice !== null && !event.isFree) {
+        const minPrice = priceParser.minPriceInQar(event);
+        if (minPrice === null || minPrice > constraints.maxPrice) {
+            return false;
+        }
+    }
+
+    if (constraints.venue && event.venueId !== constraints.venue.slug) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Constraints as a short phrase for prompts, e.g. "this weekend, free, at Katara Cultural Village"
+ * @returns {string} empty when there are no constraints
+ */
+function describe(constraints) {
+    const format = date => date.toLocaleDateString('en-US', {
+        weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: dateParser.QATAR_TIMEZONE
+    });
+
+    return [
+        constraints.window &&
+            `${constraints.window.label} (${format(constraints.window.from)} - ${format(constraints.window.to)})`,
+        constraints.categories.length > 0 && constraints.categories.join(' or '),
+        constraints.free && 'free',
+        constraints.maxPrice !== null && `up to QAR ${constraints.maxPrice}`,
+        constraints.venue && `at ${constraints.venue.name}`,
+        constraints.audience && AUDIENCES[constraints.audience].label
+    ].filter(Boolean).join(', ');
+}
+
+module.exports = {
+    extract,
+    matches,
+    describe
+};
@@ -0,0 +1,35 @@
+/**
+ * Query Parameters
+ * Validation shared by the API routes; each helper throws an Error whose
+ * message is sent back with a 400
+ */
+
+/**
+ * Check that every query value is a single string
+ * Repeated (?source=a&source=b) and bracketed (?source[$ne]=x) parameters parse
+ * into arrays and objects, which must not reach the database filter
+ * @throws {Error} naming the first parameter that isn't a string
+ */
+function assertStringQuery(query) {
+    const name = Object.keys(query).find(key => typeof query[key] !== 'string');
+    if (name !== undefined) {
+        throw new Error(`Invalid ${name}: expected a single value`);
+    }
+}
+
+/**
+ * Parse a limit query value
+ * @throws {Error} unless it is an integer from 1 to maxLimit
+ */
+function parseLimit(limitValue, defaultLimit, maxLimit) {
+    const limit = limitValue === undefined ? defaultLimit : Number(limitValue);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+        throw new Error(`Invalid limit: ${limitValue}. Expected an integer between 1 and ${maxLimit}`);
+    }
+    return limit;
+}
+
+module.exports = {
+    assertStringQuery,
+    parseLimit
+};
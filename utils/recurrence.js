@@ -0,0 +1,180 @@
+/**
+ * Recurrence
+ * Minimal RRULE support for repeating and multi-day events
+ *
+ * Supports FREQ=DAILY|WEEKLY with INTERVAL, BYDAY, UNTIL and COUNT, which
+ * covers what the date parser produces ("Every Friday", "4 - 7 May" as
+ * FREQ=DAILY;UNTIL=...). Occurrences keep the time of day of the event's
+ * start; days are counted in Asia/Qatar time, which has no daylight saving.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QATAR_OFFSET_MS = 3 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on days walked per expansion, so a bad rule can't spin forever
+const MAX_DAYS_SCANNED = 3 * 366;
+
+/**
+ * Format a Date as an RRULE UTC timestamp (e.g. 20251130T205959Z)
+ */
+function formatUntil(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse an RRULE UTC timestamp or date
+ */
+function parseUntil(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+/**
+ * Build an RRULE string
+ * @param {Object} rule - { freq, interval, byDay, until, count }
+ */
+function buildRule({ freq, interval = 1, byDay = null, until = null, count = null }) {
+    const parts = [`FREQ=${freq}`];
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (byDay && byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+    if (until) parts.push(`UNTIL=${formatUntil(until)}`);
+    if (count) parts.push(`COUNT=${count}`);
+    return parts.join(';');
+}
+
+/**
+ * Parse an RRULE string
+ * @returns {Object|null} { freq, interval, byDay, until, count }, or null if unsupported
+ */
+function parseRule(rule) {
+    if (!rule || typeof rule !== 'string') return null;
+
+    const fields = {};
+    for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+        const [key, value] = part.split('=');
+        if (key && value) fields[key.toUpperCase()] = value.toUpperCase();
+    }
+
+    if (!['DAILY', 'WEEKLY'].includes(fields.FREQ)) return null;
+
+    return {
+        freq: fields.FREQ,
+        interval: Math.max(parseInt(fields.INTERVAL, 10) || 1, 1),
+        byDay: fields.BYDAY
+            ? fields.BYDAY.split(',').filter(day => WEEKDAYS.includes(day))
+            : null,
+        until: fields.UNTIL ? parseUntil(fields.UNTIL) : null,
+        count: fields.COUNT ? parseInt(fields.COUNT, 10) : null
+    };
+}
+
+/**
+ * Length of one occurrence in milliseconds
+ * All-day occurrences fill their day; timed ones are treated as instants
+ */
+function occurrenceLength(event) {
+    return event.allDay ? DAY_MS - 1 : 0;
+}
+
+/**
+ * Walk the occurrences of a recurring event in order
+ * @param {Object} event - { date, allDay, recurrence }
+ * @param {Function} visit - called with each occurrence start; return false to stop
+ * @param {Date} [from] - Skip ahead to about this time; ignored for COUNT rules,
+ *   which have to be counted from the first occurrence
+ */
+function walk(event, visit, from = null) {
+    const rule = parseRule(event.recurrence);
+    if (!rule || !event.date) return;
+
+    const seriesStart = new Date(event.date);
+    const startWeekday = new Date(seriesStart.getTime() + QATAR_OFFSET_MS).getUTCDay();
+    const byDay = rule.byDay || (rule.freq === 'WEEKLY' ? [WEEKDAYS[startWeekday]] : null);
+    let emitted = 0;
+
+    let firstOffset = 0;
+    if (from && !rule.count) {
+        const daysAhead = Math.floor((from.getTime() - seriesStart.getTime()) / DAY_MS) - 1;
+        firstOffset = Math.max(0, daysAhead - (daysAhead % rule.interval));
+    }
+
+    for (let offset = firstOffset; offset < firstOffset + MAX_DAYS_SCANNED; offset++) {
+        const start = new Date(seriesStart.getTime() + offset * DAY_MS);
+        if (rule.until && start > rule.until) return;
+
+        const weekday = (startWeekday + offset) % 7;
+        const matches = rule.freq === 'DAILY'
+            ? offset % rule.interval === 0 && (!byDay || byDay.includes(WEEKDAYS[weekday]))
+            : Math.floor((offset + startWeekday) / 7) % rule.interval === 0 && byDay.includes(WEEKDAYS[weekday]);
+
+        if (!matches) continue;
+
+        emitted++;
+        if (visit(start) === false) return;
+        if (rule.count && emitted >= rule.count) return;
+    }
+}
+
+/**
+ * Occurrences of an event that overlap a window
+ * Non-recurring events yield their single [date, endDate] span
+ * @param {Object} event - { date, endDate, allDay, recurrence }
+ * @param {Date} windowStart
+ * @param {Date} windowEnd
+ * @param {number} [limit] - Maximum occurrences returned
+ * @returns {Array} { start, end } Dates in order
+ */
+function occurrencesBetween(event, windowStart, windowEnd, limit = 100) {
+    if (!event.date) return [];
+
+    if (!parseRule(event.recurrence)) {
+        const start = new Date(event.date);
+        const end = new Date(event.endDate || event.date);
+        return start <= windowEnd && end >= windowStart ? [{ start, end }] : [];
+    }
+
+    const length = occurrenceLength(event);
+    const occurrences = [];
+
+    walk(event, start => {
+        if (start > windowEnd || occurrences.length >= limit) return false;
+
+        const end = new Date(start.getTime() + length);
+        if (end >= windowStart) {
+            occurrences.push({ start, end });
+        }
+        return true;
+    }, windowStart);
+
+    return occurrences;
+}
+
+/**
+ * End of the last occurrence, or null if the series never ends
+ */
+function seriesEnd(event) {
+    const rule = parseRule(event.recurrence);
+    if (!rule) {
+        return event.endDate ? new Date(event.endDate) : null;
+    }
+    if (!rule.until && !rule.count) return null;
+
+    let last = null;
+    walk(event, start => {
+        last = start;
+        return true;
+    });
+
+    return last ? new Date(last.getTime() + occurrenceLength(event)) : null;
+}
+
+module.exports = {
+    buildRule,
+    parseRule,
+    occurrencesBetween,
+    seriesEnd
+};
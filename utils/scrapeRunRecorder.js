@@ -0,0 +1,188 @@
+/**
+ * Scrape Run Recorder
+ * Persists the history of scraping runs with MongoDB, falling back to memory
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const ScrapeRun = require('../models/ScrapeRun');
+
+// Number of runs kept when running without a database
+const MAX_IN_MEMORY_RUNS = 100;
+
+class ScrapeRunRecorder {
+    constructor() {
+        this.inMemoryRuns = []; // Newest first, used when DB is unavailable
+        this.useDatabase = false;
+    }
+
+    /**
+     * Initialize with database support
+     */
+    async initialize(database) {
+        this.database = database;
+        this.useDatabase = database && database.isConnected;
+
+        if (this.useDatabase) {
+            console.log('ScrapeRunRecorder: Using MongoDB for persistence');
+        } else {
+            console.log('ScrapeRunRecorder: Using in-memory storage (no persistence)');
+        }
+    }
+
+    /**
+     * Start a new run
+     * @param {string} trigger - 'startup' | 'scheduled' | 'manual'
+     * @returns {Object} run handle passed to recordSource and finishRun
+     */
+    async startRun(trigger) {
+        const run = {
+            id: null,
+            trigger,
+            startedAt: new Date(),
+            finishedAt: null,
+            status: 'running',
+            sources: []
+        };
+
+        if (this.useDatabase) {
+            try {
+                const doc = await ScrapeRun.create(run);
+                run.id = doc._id.toString();
+                return run;
+            } catch (error) {
+                console.error('Error creating scrape run:', error.message);
+            }
+        }
+
+        run.id = crypto.randomUUID();
+        this.inMemoryRuns.unshift(run);
+        this.inMemoryRuns.length = Math.min(this.inMemoryRuns.length, MAX_IN_MEMORY_RUNS);
+        return run;
+    }
+
+    /**
+     * Record the outcome of one source within a run
+     */
+    async recordSource(run, stats, status) {
+        const sourceRun = {
+            ...stats.toJSON(),
+            finishedAt: new Date(),
+            status
+        };
+        run.sources.push(sourceRun);
+
+        if (this.useDatabase && mongoose.isValidObjectId(run.id)) {
+            try {
+                await ScrapeRun.updateOne(
+                    { _id: run.id },
+                    { $push: { sources: sourceRun } }
+                );
+            } catch (error) {
+                console.error('Error recording source run:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Mark a run as finished and derive its overall status
+     * A run in which every source was skipped (already running) is 'skipped'
+     */
+    async finishRun(run) {
+        const failed = run.sources.filter(source => source.status === 'failed').length;
+
+        run.finishedAt = new Date();
+        if (run.sources.length === 0) {
+            run.status = 'skipped';
+        } else if (failed === 0) {
+            run.status = 'success';
+        } else if (failed === run.sources.length) {
+            run.status = 'failed';
+        } else {
+            run.status = 'partial';
+        }
+
+        if (this.useDatabase && mongoose.isValidObjectId(run.id)) {
+            try {
+                await ScrapeRun.updateOne(
+                    { _id: run.id },
+                    { $set: { finishedAt: run.finishedAt, status: run.status } }
+                );
+            } catch (error) {
+                console.error('Error finishing scrape run:', error.message);
+            }
+        }
+
+        return run;
+    }
+
+    /**
+     * List recent runs, newest first
+     */
+    async listRuns({ limit = 20, source = null } = {}) {
+        if (this.useDatabase) {
+            try {
+                const runs = await ScrapeRun.findRecent(limit, source).lean();
+                return runs.map(run => this.convertDbRunToFormat(run));
+            } catch (error) {
+                console.error('Error listing scrape runs:', error.message);
+            }
+        }
+
+        return this.inMemoryRuns
+            .filter(run => !source || run.sources.some(s => s.source === source))
+            .slice(0, limit);
+    }
+
+    /**
+     * Get a single run by ID
+     */
+    async getRun(id) {
+        if (this.useDatabase && mongoose.isValidObjectId(id)) {
+            try {
+                const run = await ScrapeRun.findById(id).lean();
+                if (run) {
+                    return this.convertDbRunToFormat(run);
+                }
+            } catch (error) {
+                console.error('Error fetching scrape run:', error.message);
+            }
+        }
+
+        return this.inMemoryRuns.find(run => run.id === id) || null;
+    }
+
+    /**
+     * Get the most recent run that committed events for at least one source
+     */
+    async getLastSuccessfulRun() {
+        if (this.useDatabase) {
+            try {
+                const run = await ScrapeRun.findOne({ status: { $in: ['success', 'partial'] } })
+                    .sort({ startedAt: -1 })
+                    .lean();
+                return run ? this.convertDbRunToFormat(run) : null;
+            } catch (error) {
+                console.error('Error fetching last scrape run:', error.message);
+            }
+        }
+
+        return this.inMemoryRuns.find(run => ['success', 'partial'].includes(run.status)) || null;
+    }
+
+    /**
+     * Convert database runs to API format
+     */
+    convertDbRunToFormat(run) {
+        return {
+            id: run._id.toString(),
+            trigger: run.trigger,
+            startedAt: run.startedAt,
+            finishedAt: run.finishedAt,
+            status: run.status,
+            sources: run.sources
+        };
+    }
+}
+
+module.exports = new ScrapeRunRecorder();
@@ -0,0 +1,54 @@
+/**
+ * Source Run Stats
+ * Counters a scraper fills in while it runs, recorded into ScrapeRun history
+ */
+
+// Keep stored error lists bounded when a site breaks badly
+const MAX_ERROR_MESSAGES = 50;
+
+class SourceRunStats {
+    constructor(source = null) {
+        this.source = source;
+        this.startedAt = new Date();
+        this.linksFound = 0;
+        this.eventsParsed = 0;
+        this.failures = 0;
+        this.mockFallbacks = 0;
+        this.classifierCalls = 0;
+        this.eventsSaved = 0;
+        this.errorMessages = [];
+
+        // Change summary from syncing against stored events
+        this.changes = { new: 0, changed: 0, unchanged: 0, removed: 0, cancelled: 0 };
+    }
+
+    /**
+     * Record a failure and its message
+     */
+    recordError(message) {
+        this.failures++;
+        if (this.errorMessages.length < MAX_ERROR_MESSAGES) {
+            this.errorMessages.push(message);
+        }
+    }
+
+    /**
+     * Plain object for persistence
+     */
+    toJSON() {
+        return {
+            source: this.source,
+            startedAt: this.startedAt,
+            linksFound: this.linksFound,
+            eventsParsed: this.eventsParsed,
+            failures: this.failures,
+            mockFallbacks: this.mockFallbacks,
+            classifierCalls: this.classifierCalls,
+            eventsSaved: this.eventsSaved,
+            changes: this.changes,
+            errorMessages: this.errorMessages
+        };
+    }
+}
+
+module.exports = SourceRunStats;
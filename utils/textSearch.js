@@ -0,0 +1,218 @@
+/**
+ * Text Search
+ * Tokenizing, weighted scoring and highlighted snippets for event search
+ *
+ * Mirrors the MongoDB text index (language "none"): matching is by whole
+ * word, case- and diacritic-insensitive, without stemming, and an event
+ * matches when it contains any of the query terms. With `prefix`, the last
+ * term also matches words it starts ("kat" finds "Katara") for typeahead.
+ */
+
+const { weights, snippetLength } = require('../config/search');
+
+const WORD_CHARS = '\\p{L}\\p{N}';
+
+/**
+ * Lowercase and strip diacritics
+ */
+function normalize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Split text into normalized words
+ */
+function tokenize(text) {
+    return normalize(text).match(new RegExp(`[${WORD_CHARS}]+`, 'gu')) || [];
+}
+
+/**
+ * Parse a query into unique terms
+ * @returns {Array} [{ term, prefix }]
+ */
+function parseQuery(query, { prefix = false } = {}) {
+    const words = [...new Set(tokenize(query))];
+    return words.map((term, index) => ({
+        term,
+        prefix: prefix && index === words.length - 1
+    }));
+}
+
+/**
+ * Whether a word matches a query term
+ */
+function termMatches(word, { term, prefix }) {
+    return prefix ? word.startsWith(term) : word === term;
+}
+
+/**
+ * Weighted relevance of an event for the query terms, 0 when nothing matches
+ */
+function score(event, terms) {
+    let total = 0;
+
+    for (const [field, weight] of Object.entries(weights)) {
+        const words = tokenize(event[field]);
+        for (const term of terms) {
+            const count = words.filter(word => termMatches(word, term)).length;
+            if (count > 0) {
+                total += weight * (1 + Math.log(count));
+            }
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regular expression for the query terms in raw text
+ */
+function termsPattern(terms) {
+    const alternatives = terms.map(({ term, prefix }) =>
+        escapeRegExp(term) + (prefix ? '' : `(?![${WORD_CHARS}])`)
+    );
+    return new RegExp(`(?<![${WORD_CHARS}])(?:${alternatives.join('|')})`, 'giu');
+}
+
+/**
+ * MongoDB $regex condition matching the query terms in searchableText
+ * Words are delimited by the same Unicode letter and digit classes as tokenize;
+ * \W would count every Arabic letter as a delimiter
+ */
+function mongoRegex(terms) {
+    const delimiter = `[^${WORD_CHARS}]`;
+    const alternatives = terms.map(({ term, prefix }) =>
+        escapeRegExp(term) + (prefix ? '' : `(${delimiter}|$)`)
+    );
+    return { $regex: `(^|${delimiter})(${alternatives.join('|')})`, $options: 'u' };
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * HTML excerpt around the first match, with matches wrapped in <mark>
+ * Uses the first of description, title and venue that matches
+ */
+function snippet(event, terms) {
+    const pattern = termsPattern(terms);
+    const fields = [event.description, event.title, event.venue].filter(Boolean);
+    const text = fields.find(field => field.search(pattern) !== -1) || fields[0] || '';
+
+    const firstMatch = Math.max(text.search(pattern), 0);
+    let start = Math.max(0, firstMatch - Math.floor(snippetLength / 4));
+    let end = Math.min(text.length, start + snippetLength);
+
+    // Don't cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < firstMatch) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > firstMatch) end = space;
+    }
+
+    const excerpt = text.slice(start, end);
+    let html = '';
+    let last = 0;
+    for (const match of excerpt.matchAll(pattern)) {
+        html += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    html += escapeHtml(excerpt.slice(last));
+
+    return (start > 0 ? '…' : '') + html + (end < text.length ? '…' : '');
+}
+
+/**
+ * Rank events by Okapi BM25 for the query terms, best first
+ * Term frequencies and lengths are weighted per field like score() (BM25F),
+ * so a title match counts for more than one in the description. Events
+ * that match no term are left out.
+ * @param {Array} events
+ * @param {Array} terms - Words, e.g. from tokenize()
+ * @returns {Array} [{ event, score }]
+ */
+function bm25(events, terms, { k1 = 1.2, b = 0.75 } = {}) {
+    const queryTerms = [...new Set(terms)];
+    if (queryTerms.length === 0 || events.length === 0) return [];
+
+    const documents = events.map(event => {
+        const frequencies = new Map();
+        let length = 0;
+        for (const [field, weight] of Object.entries(weights)) {
+            const words = tokenize(event[field]);
+            length += weight * words.length;
+            for (const word of words) {
+                frequencies.set(word, (frequencies.get(word) || 0) + weight);
+            }
+        }
+        return { event, frequencies, length };
+    });
+
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+    const inverseFrequency = new Map(queryTerms.map(term => {
+        const containing = documents.filter(doc => doc.frequencies.has(term)).length;
+        return [term, Math.log(1 + (documents.length - containing + 0.5) / (containing + 0.5))];
+    }));
+
+    return documents
+        .map(({ event, frequencies, length }) => {
+            let total = 0;
+            for (const term of queryTerms) {
+                const frequency = frequencies.get(term) || 0;
+                if (frequency > 0) {
+                    total += inverseFrequency.get(term) * frequency * (k1 + 1) /
+                        (frequency + k1 * (1 - b + b * length / averageLength));
+                }
+            }
+            return { event, score: total };
+        })
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Normalized text stored on events for regex (prefix) searches
+ */
+function searchableText(event) {
+    return normalize([
+        event.title,
+        event.description,
+        event.category,
+        event.venue,
+        event.price,
+        event.organizer
+    ].filter(Boolean).join(' '));
+}
+
+module.exports = {
+    normalize,
+    tokenize,
+    parseQuery,
+    score,
+    bm25,
+    snippet,
+    mongoRegex,
+    escapeRegExp,
+    searchableText
+};
@@ -1,12 +1,19 @@
 /**
  * Vector Store with MongoDB Persistence
  * Stores event embeddings and performs cosine similarity search
+ *
+ * Each store holds the vectors of one embedding model. Stored vectors from
+ * another model are ignored and replaced when events are indexed again.
  */
 
 const Embedding = require('../models/Embedding');
 
 class VectorStore {
-    constructor() {
+    /**
+     * @param {string|null} model - Embedding model the vectors come from
+     */
+    constructor(model = null) {
+        this.model = model;
         this.inMemoryVectors = new Map(); // Fallback for when DB is unavailable
         this.useDatabase = false;
         this.vectorCache = null; // Cache for search operations
@@ -36,7 +43,7 @@ class VectorStore {
         if (!this.useDatabase) return;
 
         try {
-            const embeddings = await Embedding.getAllEmbeddings().lean();
+            const embeddings = await Embedding.getAllEmbeddings(this.model).lean();
             this.vectorCache = new Map();
             
             embeddings.forEach(emb => {
@@ -65,6 +72,7 @@ class VectorStore {
                     {
                         eventId,
                         embedding,
+                        model: this.model,
                         dimension: embedding.length
                     },
                     { upsert: true, new: true }
@@ -93,7 +101,7 @@ class VectorStore {
                 const embeddingsData = events.map((event, index) => ({
                     eventId: event.id,
                     embedding: embeddings[index],
-                    model: 'text-embedding-004'
+                    model: this.model
                 }));
 
                 await Embedding.bulkUpsert(embeddingsData);
@@ -182,9 +190,11 @@ class VectorStore {
      * @param {Array} queryEmbedding - The query vector
      * @param {number} topK - Number of results to return
      * @param {Array} eventMetadata - Full event metadata for results
+     * @param {Object} [options]
+     * @param {boolean} [options.candidatesOnly] - Only rank the events in eventMetadata
      * @returns {Array} - Array of {metadata, similarity} objects
      */
-    async search(queryEmbedding, topK = 5, eventMetadata = []) {
+    async search(queryEmbedding, topK = 5, eventMetadata = [], { candidatesOnly = false } = {}) {
         const results = [];
         let vectorSource = null;
 
@@ -203,6 +213,10 @@ class VectorStore {
 
         // Calculate similarity for all vectors
         for (const [eventId, data] of vectorSource.entries()) {
+            if (candidatesOnly && !metadataMap.has(eventId)) {
+                continue;
+            }
+
             const similarity = this.cosineSimilarity(queryEmbedding, data.embedding);
             
             // Get full metadata if available
@@ -226,7 +240,7 @@ class VectorStore {
     async size() {
         if (this.useDatabase) {
             try {
-                return await Embedding.countDocuments();
+                return await Embedding.countDocuments({ model: this.model });
             } catch (error) {
                 console.error('Error counting embeddings:', error.message);
                 return this.inMemoryVectors.size;
@@ -267,7 +281,7 @@ class VectorStore {
         if (this.useDatabase) {
             try {
                 const embedding = await Embedding.findByEventId(eventId);
-                return !!embedding;
+                return !!embedding && embedding.model === this.model;
             } catch (error) {
                 return this.inMemoryVectors.has(eventId);
             }
@@ -0,0 +1,141 @@
+/**
+ * Venue Matcher
+ * Resolves raw venue strings from listings to canonical venues
+ *
+ * Venues are seeded from the offline gazetteer in config/venues.js into
+ * MongoDB (when available), so aliases added there by editors are kept.
+ * Matching is by exact alias first, then by the longest alias contained in
+ * the string as whole words ("Gallery 2, Katara Cultural Village, Doha").
+ */
+
+const Venue = require('../models/Venue');
+const gazetteer = require('../config/venues');
+
+class VenueMatcher {
+    constructor() {
+        this.useDatabase = false;
+        this.venues = new Map(); // slug -> venue
+        this.aliasIndex = new Map(); // normalized alias -> slug
+        this.loadVenues(gazetteer);
+    }
+
+    /**
+     * Initialize with database support and seed the gazetteer
+     */
+    async initialize(database) {
+        this.database = database;
+        this.useDatabase = database && database.isConnected;
+
+        if (!this.useDatabase) {
+            console.log('VenueMatcher: Using built-in gazetteer (no persistence)');
+            return;
+        }
+
+        try {
+            await Venue.bulkWrite(gazetteer.map(venue => ({
+                updateOne: {
+                    filter: { slug: venue.slug },
+                    update: {
+                        $set: {
+                            name: venue.name,
+                            district: venue.district,
+                            lat: venue.lat,
+                            lng: venue.lng
+                        },
+                        $addToSet: { aliases: { $each: venue.aliases } }
+                    },
+                    upsert: true
+                }
+            })));
+
+            const venues = await Venue.find().lean();
+            this.loadVenues(venues.map(venue => this.convertDbVenueToFormat(venue)));
+            console.log(`VenueMatcher: ${venues.length} venues loaded from MongoDB`);
+        } catch (error) {
+            console.error('Error seeding venues:', error.message);
+        }
+    }
+
+    /**
+     * Rebuild the lookup tables
+     */
+    loadVenues(venues) {
+        this.venues = new Map();
+        this.aliasIndex = new Map();
+
+        for (const venue of venues) {
+            this.venues.set(venue.slug, venue);
+            for (const alias of [venue.name, ...venue.aliases]) {
+                const key = this.normalize(alias);
+                if (key && !this.aliasIndex.has(key)) {
+                    this.aliasIndex.set(key, venue.slug);
+                }
+            }
+        }
+    }
+
+    /**
+     * Lowercase, strip accents and punctuation, drop a leading "the"
+     */
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim()
+            .replace(/^the /, '');
+    }
+
+    /**
+     * Find the venue a raw venue string refers to
+     * @returns {Object|null} venue
+     */
+    match(venueText) {
+        const normalized = this.normalize(venueText);
+        if (!normalized) return null;
+
+        const exact = this.aliasIndex.get(normalized);
+        if (exact) return this.venues.get(exact);
+
+        const padded = ` ${normalized} `;
+        let best = null;
+        for (const [alias, slug] of this.aliasIndex) {
+            if (padded.includes(` ${alias} `) && (!best || alias.length > best.alias.length)) {
+                best = { alias, slug };
+            }
+        }
+
+        return best ? this.venues.get(best.slug) : null;
+    }
+
+    /**
+     * Get a venue by slug
+     */
+    get(slug) {
+        return this.venues.get(slug) || null;
+    }
+
+    /**
+     * All venues, sorted by name
+     */
+    list() {
+        return Array.from(this.venues.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Convert database venues to API format
+     */
+    convertDbVenueToFormat(venue) {
+        return {
+            slug: venue.slug,
+            name: venue.name,
+            aliases: venue.aliases,
+            district: venue.district,
+            lat: venue.lat,
+            lng: venue.lng
+        };
+    }
+}
+
+module.exports = new VenueMatcher();